@@ -1,22 +1,47 @@
-import { ScatterFitGraph, TimeSeriesGraph } from "./graphs.js";
+import { ResidualGraph, ScatterFitGraph, TimeSeriesGraph } from "./graphs.js";
 import { HalfAtwoodView } from "./machineView.js";
 import { exportGraphsSnapshot, exportTrialDataCsv } from "./export.js";
-import { computeTrialPhysics, getScenarioConfig } from "./physics.js";
-import { PRESETS, HANGING_MASS_STEPS_KG, getPresetById, scenarioTitle } from "./presets.js";
-import { linearRegression, linearRegressionInWindow, mean, sliceWindow } from "./regression.js";
+import { G, computeTrialPhysics, constantTotalSlope, getScenarioConfig, hasVelocityDependentDrag } from "./physics.js";
+import {
+  GRAVITY_PRESETS,
+  PRESETS,
+  HANGING_MASS_STEPS_KG,
+  getGravityPresetById,
+  getPresetById,
+  scenarioTitle
+} from "./presets.js";
+import {
+  STUDENTIZED_RESIDUAL_LIMIT,
+  centralDifference,
+  compareModels,
+  cumulativeTrapezoid,
+  fitTrendLine,
+  linearDiagnostics,
+  linearRegressionInWindow,
+  mean,
+  meanInWindow,
+  movingAverage,
+  savitzkyGolay,
+  sliceWindow,
+  standardError
+} from "./regression.js";
+import { deriveTrialSeed, getNoiseProfileById } from "./noise.js";
+import { SONAR_MOTION_DETECTOR, readForceSensor } from "./sensor.js";
 import { generateTrialSignals } from "./signals.js";
 import { createStore } from "./state.js";
+import { assessWindows } from "./windowQuality.js";
+import { suggestSteadyWindow } from "./windowSuggest.js";
 
 const MIN_SELECTION_WIDTH_S = 0.12;
 const MIN_POINTS = 6;
 
 /**
- * @param {"cart_only" | "cart_plus_pad"} scenario
+ * @param {import("./presets.js").ScenarioId} scenario
  * @returns {typeof PRESETS}
  */
 function availablePresets(scenario) {
   if (scenario === "cart_only") {
-    return PRESETS.filter((preset) => preset.id === "low");
+    return PRESETS.filter((preset) => preset.allowCartOnly);
   }
 
   return PRESETS;
@@ -41,16 +66,111 @@ function formatNumber(value, digits = 3) {
   return value === null || Number.isNaN(value) ? "--" : value.toFixed(digits);
 }
 
+/**
+ * "value ± uncertainty", or just the value when the uncertainty is unknown.
+ *
+ * @param {number} value
+ * @param {number|null} uncertainty
+ * @param {number} digits
+ * @returns {string}
+ */
+function formatEstimate(value, uncertainty, digits = 3) {
+  if (uncertainty === null || !Number.isFinite(uncertainty)) {
+    return value.toFixed(digits);
+  }
+
+  return `${value.toFixed(digits)} ± ${uncertainty.toFixed(digits)}`;
+}
+
+/**
+ * @param {import("./regression.js").FitResult} fit
+ * @param {string} residualUnit
+ * @returns {string}
+ */
+function describeFitQuality(fit, residualUnit) {
+  const base = `R^2 = ${fit.r2.toFixed(4)} with ${fit.count} points`;
+
+  if (!Number.isFinite(fit.residualStd)) {
+    return `${base}; add a third point for uncertainties`;
+  }
+
+  const chiSquare = fit.reducedChiSquare === undefined ? "" : `; χ²/ν = ${fit.reducedChiSquare.toFixed(2)}`;
+  return `${base}; residual SD ${fit.residualStd.toFixed(3)} ${residualUnit}${chiSquare}; ± are 95% confidence intervals (t, ${fit.count - 2} df)`;
+}
+
+/**
+ * Note for the fit panel when `fitTrendLine` had to fall back from the chosen
+ * method, or "" when it did not.
+ *
+ * @param {import("./state.js").FitMethod} requested
+ * @param {import("./state.js").FitMethod} used
+ * @returns {string}
+ */
+function describeFitFallback(requested, used) {
+  if (requested === used) {
+    return "";
+  }
+
+  return requested === "weighted"
+    ? " Weighted fit needs a y uncertainty on every trial, but some are exact or zero (noise off, or y is the hanging weight), so this is ordinary least squares."
+    : " York fit needs an x or y uncertainty on every trial, but some have neither (noise off), so this is ordinary least squares.";
+}
+
+/**
+ * Caveat for the weighted fits, or "" for ordinary least squares. Each trial's
+ * uncertainty is a standard error that treats the window's samples as
+ * independent, which correlated noise breaks.
+ *
+ * @param {import("./state.js").FitMethod} used
+ * @returns {string}
+ */
+function describeFitWeights(used) {
+  return used === "ols"
+    ? ""
+    : " Trial uncertainties treat a window's samples as independent; correlated noise (pink or brown noise, sonar hold) makes them too small, so expect χ²/ν above 1.";
+}
+
+/**
+ * Narrowest window that still holds MIN_POINTS samples at the given rate.
+ *
+ * @param {number} sampleRateHz
+ * @returns {number}
+ */
+function minSelectionWidthS(sampleRateHz) {
+  return Math.max(MIN_SELECTION_WIDTH_S, (MIN_POINTS - 1) / sampleRateHz);
+}
+
 /**
  * @param {{startS: number, endS: number}|null} selection
+ * @param {number} sampleRateHz
  * @returns {boolean}
  */
-function isValidSelection(selection) {
+function isValidSelection(selection, sampleRateHz) {
   if (!selection) {
     return false;
   }
 
-  return Math.abs(selection.endS - selection.startS) >= MIN_SELECTION_WIDTH_S;
+  return Math.abs(selection.endS - selection.startS) >= minSelectionWidthS(sampleRateHz);
+}
+
+/**
+ * @param {{startS: number, endS: number}|null} selection
+ * @param {number} sampleRateHz
+ * @returns {string}
+ */
+function describeSelection(selection, sampleRateHz) {
+  if (!selection) {
+    return "No window selected";
+  }
+
+  const normalized = normalize(selection);
+  const range = `${normalized.startS.toFixed(2)} s to ${normalized.endS.toFixed(2)} s`;
+
+  if (isValidSelection(selection, sampleRateHz)) {
+    return range;
+  }
+
+  return `${range} (too narrow: at ${sampleRateHz} Hz a window needs ${minSelectionWidthS(sampleRateHz).toFixed(2)} s for ${MIN_POINTS} samples)`;
 }
 
 /**
@@ -64,32 +184,149 @@ function normalize(selection) {
   };
 }
 
+/**
+ * @param {import("./state.js").AppState} state
+ * @returns {number}
+ */
+function gravityFromState(state) {
+  return getGravityPresetById(state.gravityId)?.gravityMps2 ?? state.customGravityMps2;
+}
+
+/**
+ * @param {string} gravityId
+ * @returns {string}
+ */
+function gravityLabel(gravityId) {
+  return getGravityPresetById(gravityId)?.label ?? "Custom";
+}
+
+/**
+ * What pulls down on the FBD bodies: the world whose gravity the trial ran
+ * with, or just "the planet" for a custom value.
+ *
+ * @param {number} gravityMps2
+ * @returns {string}
+ */
+function gravitySourceLabel(gravityMps2) {
+  return GRAVITY_PRESETS.find((body) => body.gravityMps2 === gravityMps2)?.label ?? "the planet";
+}
+
+/**
+ * The full Atwood has no cart to load, so it always varies the hanging mass alone.
+ *
+ * @param {import("./state.js").AppState} state
+ * @returns {import("./state.js").MassMode}
+ */
+function effectiveMassMode(state) {
+  return state.scenario === "full_atwood" ? "hanger_only" : state.massMode;
+}
+
+/**
+ * In constant-total-mass mode every slotted mass not on the hanger rides on the
+ * cart; in the mass-vs-acceleration part the cart load is chosen directly.
+ *
+ * @param {import("./state.js").AppState} state
+ * @returns {number}
+ */
+function cartAddedMassFromState(state) {
+  const massMode = effectiveMassMode(state);
+
+  if (massMode === "vary_cart") {
+    return state.cartLoadKg;
+  }
+
+  if (massMode !== "constant_total") {
+    return 0;
+  }
+
+  return roundTo(Math.max(0, state.slottedPoolKg - state.hangingMassKg), 3);
+}
+
+/**
+ * @param {import("./state.js").AppState} state
+ * @returns {number[]}
+ */
+function availableHangingMasses(state) {
+  if (effectiveMassMode(state) !== "constant_total") {
+    return [...HANGING_MASS_STEPS_KG];
+  }
+
+  return HANGING_MASS_STEPS_KG.filter((mass) => mass <= state.slottedPoolKg + 1e-9);
+}
+
+/**
+ * @param {import("./state.js").AppState} state
+ * @returns {import("./physics.js").TrialInput}
+ */
+function trialInputFromState(state) {
+  return {
+    scenario: state.scenario,
+    presetId: state.presetId,
+    hangingMassKg: state.hangingMassKg,
+    cartAddedMassKg: cartAddedMassFromState(state),
+    gravityMps2: gravityFromState(state),
+    trackAngleDeg: state.trackAngleDeg,
+    dropHeightM: state.dropHeightM,
+    bumperRestitution: state.bumperRestitution
+  };
+}
+
 const store = createStore();
 
 const elements = {
+  classCodeInput: document.querySelector("#classCodeInput"),
+  groupNameInput: document.querySelector("#groupNameInput"),
   scenarioSelect: document.querySelector("#scenarioSelect"),
   presetSelect: document.querySelector("#presetSelect"),
   hangingMassSelect: document.querySelector("#hangingMassSelect"),
+  massModeSelect: document.querySelector("#massModeSelect"),
+  slottedPoolSelect: document.querySelector("#slottedPoolSelect"),
+  cartLoadSelect: document.querySelector("#cartLoadSelect"),
+  trackAngleInput: document.querySelector("#trackAngleInput"),
+  gravitySelect: document.querySelector("#gravitySelect"),
+  customGravityInput: document.querySelector("#customGravityInput"),
+  dropHeightSelect: document.querySelector("#dropHeightSelect"),
+  sampleRateSelect: document.querySelector("#sampleRateSelect"),
+  trialDurationSelect: document.querySelector("#trialDurationSelect"),
+  endStopSelect: document.querySelector("#endStopSelect"),
   noiseCheckbox: document.querySelector("#noiseCheckbox"),
+  sonarCheckbox: document.querySelector("#sonarCheckbox"),
+  velocityFromPositionCheckbox: document.querySelector("#velocityFromPositionCheckbox"),
   showFbdCheckbox: document.querySelector("#showFbdCheckbox"),
+  fitMethodSelect: document.querySelector("#fitMethodSelect"),
   runTrialButton: document.querySelector("#runTrialButton"),
+  tareButton: document.querySelector("#tareButton"),
   addTrialButton: document.querySelector("#addTrialButton"),
   clearTrialsButton: document.querySelector("#clearTrialsButton"),
   exportCsvButton: document.querySelector("#exportCsvButton"),
   exportPngButton: document.querySelector("#exportPngButton"),
+  suggestButtons: /** @type {NodeListOf<HTMLButtonElement>} */ (document.querySelectorAll(".suggest-btn")),
+  zoomResetButtons: /** @type {NodeListOf<HTMLButtonElement>} */ (document.querySelectorAll(".zoom-reset-btn")),
   statusText: document.querySelector("#statusText"),
   presetDetails: document.querySelector("#presetDetails"),
   currentTrialSummary: document.querySelector("#currentTrialSummary"),
   forceSelectionLabel: document.querySelector("#forceSelectionLabel"),
   velocitySelectionLabel: document.querySelector("#velocitySelectionLabel"),
   forceMeanValue: document.querySelector("#forceMeanValue"),
+  accelerometerSelectionLabel: document.querySelector("#accelerometerSelectionLabel"),
+  accelerometerMeanValue: document.querySelector("#accelerometerMeanValue"),
+  accelComparison: document.querySelector("#accelComparison"),
+  derivativeComparison: document.querySelector("#derivativeComparison"),
+  overlaySelect: document.querySelector("#overlaySelect"),
+  tareValue: document.querySelector("#tareValue"),
   accelValue: document.querySelector("#accelValue"),
   dataTableBody: document.querySelector("#dataTableBody"),
   fitEquation: document.querySelector("#fitEquation"),
   fitQuality: document.querySelector("#fitQuality"),
   fitInterpretation: document.querySelector("#fitInterpretation"),
+  modelComparisonBody: document.querySelector("#modelComparisonBody"),
+  modelVerdict: document.querySelector("#modelVerdict"),
+  residualSummary: document.querySelector("#residualSummary"),
+  windowFeedbackPanel: document.querySelector("#windowFeedbackPanel"),
+  windowFeedbackList: document.querySelector("#windowFeedbackList"),
   checklistItems: {
     setup: document.querySelector("#stepSetup"),
+    tare: document.querySelector("#stepTare"),
     run: document.querySelector("#stepRun"),
     forceWindow: document.querySelector("#stepForceWindow"),
     velocityWindow: document.querySelector("#stepVelocityWindow"),
@@ -113,6 +350,7 @@ const forceGraph = new TimeSeriesGraph({
   canvas: /** @type {HTMLCanvasElement} */ (document.querySelector("#forceCanvas")),
   title: "Tension (Fₜ) vs Time",
   yLabel: "Fₜ (N)",
+  onViewChange: syncZoomButtons,
   onSelectionChange(selection) {
     store.update((state) => ({
       ...state,
@@ -125,10 +363,44 @@ const forceGraph = new TimeSeriesGraph({
   }
 });
 
+const positionGraph = new TimeSeriesGraph({
+  canvas: /** @type {HTMLCanvasElement} */ (document.querySelector("#positionCanvas")),
+  title: "Position vs Time",
+  yLabel: "Position (m)",
+  onViewChange: syncZoomButtons,
+  onSelectionChange(selection) {
+    store.update((state) => ({
+      ...state,
+      measurement: {
+        ...state.measurement,
+        positionWindow: selection
+      }
+    }));
+  }
+});
+
+const accelerometerGraph = new TimeSeriesGraph({
+  canvas: /** @type {HTMLCanvasElement} */ (document.querySelector("#accelerometerCanvas")),
+  title: "Accelerometer vs Time",
+  yLabel: "Acceleration (m/s^2)",
+  onViewChange: syncZoomButtons,
+  onSelectionChange(selection) {
+    store.update((state) => ({
+      ...state,
+      measurement: {
+        ...state.measurement,
+        accelerometerWindow: selection
+      }
+    }));
+    updateMeasurementValues();
+  }
+});
+
 const velocityGraph = new TimeSeriesGraph({
   canvas: /** @type {HTMLCanvasElement} */ (document.querySelector("#velocityCanvas")),
   title: "Velocity vs Time",
   yLabel: "Velocity (m/s)",
+  onViewChange: syncZoomButtons,
   onSelectionChange(selection) {
     store.update((state) => ({
       ...state,
@@ -146,6 +418,11 @@ const fitGraph = new ScatterFitGraph({
   title: "Force of Tension (Fₜ) vs Acceleration"
 });
 
+const residualGraph = new ResidualGraph({
+  canvas: /** @type {HTMLCanvasElement} */ (document.querySelector("#residualCanvas")),
+  title: "Residuals"
+});
+
 const machineView = new HalfAtwoodView({
   canvas: /** @type {HTMLCanvasElement} */ (elements.machineCanvas),
   playButton: /** @type {HTMLButtonElement} */ (elements.machinePlayButton),
@@ -162,17 +439,23 @@ const machineView = new HalfAtwoodView({
 
 function hydrateSelectors() {
   hydratePresetSelect("cart_only", "low");
+  hydrateHangingMassSelect(HANGING_MASS_STEPS_KG, 0.1);
 
-  for (const mass of HANGING_MASS_STEPS_KG) {
+  for (const body of GRAVITY_PRESETS) {
     const option = document.createElement("option");
-    option.value = String(mass);
-    option.textContent = `${mass.toFixed(2)} kg`;
-    elements.hangingMassSelect.append(option);
+    option.value = body.id;
+    option.textContent = `${body.label} (${body.gravityMps2.toFixed(2)} m/s^2)`;
+    elements.gravitySelect.append(option);
   }
+
+  const customOption = document.createElement("option");
+  customOption.value = "custom";
+  customOption.textContent = "Custom";
+  elements.gravitySelect.append(customOption);
 }
 
 /**
- * @param {"cart_only" | "cart_plus_pad"} scenario
+ * @param {import("./presets.js").ScenarioId} scenario
  * @param {string} selectedPresetId
  */
 function hydratePresetSelect(scenario, selectedPresetId) {
@@ -182,7 +465,7 @@ function hydratePresetSelect(scenario, selectedPresetId) {
   for (const preset of options) {
     const option = document.createElement("option");
     option.value = preset.id;
-    option.textContent = scenario === "cart_only"
+    option.textContent = options.length === 1
       ? `${preset.label} (fixed)`
       : preset.label;
     elements.presetSelect.append(option);
@@ -193,7 +476,103 @@ function hydratePresetSelect(scenario, selectedPresetId) {
     : options[0].id;
 
   elements.presetSelect.value = validSelection;
-  elements.presetSelect.disabled = scenario === "cart_only";
+  elements.presetSelect.disabled = options.length === 1;
+}
+
+/**
+ * @param {readonly number[]} masses
+ * @param {number} selectedMassKg
+ */
+function hydrateHangingMassSelect(masses, selectedMassKg) {
+  elements.hangingMassSelect.innerHTML = "";
+
+  for (const mass of masses) {
+    const option = document.createElement("option");
+    option.value = String(mass);
+    option.textContent = `${mass.toFixed(2)} kg`;
+    elements.hangingMassSelect.append(option);
+  }
+
+  elements.hangingMassSelect.value = String(selectedMassKg);
+}
+
+/**
+ * Keeps the hanging mass on the hanger's current menu after a mode or pool change.
+ *
+ * @param {import("./state.js").AppState} state
+ * @returns {number}
+ */
+function validHangingMass(state) {
+  const masses = availableHangingMasses(state);
+  return masses.includes(state.hangingMassKg) ? state.hangingMassKg : masses[masses.length - 1];
+}
+
+/**
+ * Span the overlay smoothers average over; never fewer than five samples.
+ */
+const OVERLAY_SMOOTHING_S = 0.15;
+
+/**
+ * @typedef {{values: number[], label: string}|null} OverlayTrace
+ * @typedef {{force: OverlayTrace, velocity: OverlayTrace, position: OverlayTrace, accelerometer: OverlayTrace}} OverlayTraces
+ */
+
+/** Overlays for the whole trial, kept until the trial or the overlay mode changes. */
+let overlayCache = { signals: null, mode: null, traces: null };
+
+/**
+ * @param {number} sampleRateHz
+ * @returns {number} An odd number of samples.
+ */
+function smoothingWindowSamples(sampleRateHz) {
+  const samples = Math.max(5, Math.round(OVERLAY_SMOOTHING_S * sampleRateHz));
+  return samples % 2 ? samples : samples + 1;
+}
+
+/**
+ * @param {import("./signals.js").TrialSignals} signals
+ * @param {import("./state.js").OverlayMode} mode
+ * @returns {OverlayTraces}
+ */
+function overlayTraces(signals, mode) {
+  if (overlayCache.signals === signals && overlayCache.mode === mode) {
+    return overlayCache.traces;
+  }
+
+  const { timesS, forceN, velocityMps, positionM, accelerationMps2, sampleRateHz } = signals;
+  const windowSize = smoothingWindowSamples(sampleRateHz);
+  /** @type {OverlayTraces} */
+  let traces = { force: null, velocity: null, position: null, accelerometer: null };
+
+  if (mode === "moving_average" || mode === "savitzky_golay") {
+    const smooth = mode === "moving_average"
+      ? (values) => movingAverage(values, windowSize)
+      : (values) => savitzkyGolay(values, { windowSize, polyOrder: 2 });
+    const label = mode === "moving_average"
+      ? `Moving average, ${windowSize} samples`
+      : `Savitzky-Golay, ${windowSize} samples`;
+
+    traces = {
+      force: { values: smooth(forceN), label },
+      velocity: { values: smooth(velocityMps), label },
+      position: { values: smooth(positionM), label },
+      accelerometer: { values: smooth(accelerationMps2), label }
+    };
+  } else if (mode === "central_difference" || mode === "savitzky_golay_derivative") {
+    const derive = mode === "central_difference"
+      ? (values) => centralDifference(timesS, values)
+      : (values) => savitzkyGolay(values, { windowSize, polyOrder: 2, derivative: 1, sampleIntervalS: 1 / sampleRateHz });
+
+    traces = {
+      force: null,
+      velocity: { values: derive(positionM), label: "dx/dt from position" },
+      position: { values: cumulativeTrapezoid(timesS, velocityMps, positionM[0]), label: "∫v dt from velocity" },
+      accelerometer: { values: derive(velocityMps), label: "dv/dt from velocity" }
+    };
+  }
+
+  overlayCache = { signals, mode, traces };
+  return traces;
 }
 
 /**
@@ -202,22 +581,40 @@ function hydratePresetSelect(scenario, selectedPresetId) {
  */
 function renderTrialProgress(timeS, trial) {
   if (!trial) {
+    const durationS = store.getState().trialDurationS;
     forceGraph.setData({
       timesS: [],
       values: [],
+      durationS,
       motionWindow: null,
       selection: store.getState().measurement.forceWindow
     });
     velocityGraph.setData({
       timesS: [],
       values: [],
+      durationS,
       motionWindow: null,
       selection: store.getState().measurement.velocityWindow
     });
+    positionGraph.setData({
+      timesS: [],
+      values: [],
+      durationS,
+      motionWindow: null,
+      selection: store.getState().measurement.positionWindow
+    });
+    accelerometerGraph.setData({
+      timesS: [],
+      values: [],
+      durationS,
+      motionWindow: null,
+      selection: store.getState().measurement.accelerometerWindow
+    });
     return;
   }
 
   const times = trial.signals.timesS;
+  const durationS = trial.signals.durationS;
   let maxIndex = 0;
   while (maxIndex < times.length - 1 && times[maxIndex + 1] <= timeS) {
     maxIndex += 1;
@@ -226,6 +623,8 @@ function renderTrialProgress(timeS, trial) {
   const visibleTimes = times.slice(0, maxIndex + 1);
   const visibleForce = trial.signals.forceN.slice(0, maxIndex + 1);
   const visibleVelocity = trial.signals.velocityMps.slice(0, maxIndex + 1);
+  const visiblePosition = trial.signals.positionM.slice(0, maxIndex + 1);
+  const visibleAcceleration = trial.signals.accelerationMps2.slice(0, maxIndex + 1);
   const motionWindow = trial.signals.motionWindow
     ? {
       startS: trial.signals.motionWindow.startS,
@@ -234,23 +633,59 @@ function renderTrialProgress(timeS, trial) {
     : null;
 
   const state = store.getState();
+  const overlays = overlayTraces(trial.signals, state.overlay);
+  /** @param {OverlayTrace} trace */
+  const visibleOverlay = (trace) => (trace ? { values: trace.values.slice(0, maxIndex + 1), label: trace.label } : null);
+
   forceGraph.setData({
     timesS: visibleTimes,
     values: visibleForce,
+    overlay: visibleOverlay(overlays.force),
+    durationS,
     motionWindow: motionWindow && motionWindow.endS > motionWindow.startS ? motionWindow : null,
     selection: state.measurement.forceWindow
   });
   velocityGraph.setData({
     timesS: visibleTimes,
     values: visibleVelocity,
+    overlay: visibleOverlay(overlays.velocity),
+    durationS,
     motionWindow: motionWindow && motionWindow.endS > motionWindow.startS ? motionWindow : null,
     selection: state.measurement.velocityWindow
   });
+  positionGraph.setData({
+    timesS: visibleTimes,
+    values: visiblePosition,
+    overlay: visibleOverlay(overlays.position),
+    durationS,
+    motionWindow: motionWindow && motionWindow.endS > motionWindow.startS ? motionWindow : null,
+    selection: state.measurement.positionWindow
+  });
+  accelerometerGraph.setData({
+    timesS: visibleTimes,
+    values: visibleAcceleration,
+    overlay: visibleOverlay(overlays.accelerometer),
+    durationS,
+    motionWindow: motionWindow && motionWindow.endS > motionWindow.startS ? motionWindow : null,
+    selection: state.measurement.accelerometerWindow
+  });
 }
 
 function bindEvents() {
+  elements.classCodeInput.addEventListener("change", () => {
+    store.setState({
+      classCode: elements.classCodeInput.value
+    });
+  });
+
+  elements.groupNameInput.addEventListener("change", () => {
+    store.setState({
+      groupName: elements.groupNameInput.value
+    });
+  });
+
   elements.scenarioSelect.addEventListener("change", () => {
-    const scenario = /** @type {"cart_only" | "cart_plus_pad"} */ (elements.scenarioSelect.value);
+    const scenario = /** @type {import("./presets.js").ScenarioId} */ (elements.scenarioSelect.value);
     const options = availablePresets(scenario);
     const state = store.getState();
     const nextPresetId = options.some((preset) => preset.id === state.presetId)
@@ -262,6 +697,7 @@ function bindEvents() {
     store.setState({
       scenario,
       presetId: nextPresetId,
+      hangingMassKg: validHangingMass({ ...state, scenario }),
       noiseEnabled: nextPreset.noiseDefault
     });
     renderFitView();
@@ -272,7 +708,8 @@ function bindEvents() {
     const preset = getPresetById(elements.presetSelect.value);
     store.setState({
       presetId: preset.id,
-      noiseEnabled: preset.noiseDefault
+      noiseEnabled: preset.noiseDefault,
+      tareN: null
     });
     renderPresetDetails();
     renderFbd();
@@ -284,12 +721,107 @@ function bindEvents() {
     });
   });
 
+  elements.massModeSelect.addEventListener("change", () => {
+    store.update((state) => {
+      const next = {
+        ...state,
+        massMode: /** @type {import("./state.js").MassMode} */ (elements.massModeSelect.value)
+      };
+      return { ...next, hangingMassKg: validHangingMass(next) };
+    });
+    renderFitView();
+    renderFbd();
+  });
+
+  elements.slottedPoolSelect.addEventListener("change", () => {
+    store.update((state) => {
+      const next = {
+        ...state,
+        slottedPoolKg: Number(elements.slottedPoolSelect.value)
+      };
+      return { ...next, hangingMassKg: validHangingMass(next) };
+    });
+    renderFitView();
+    renderFbd();
+  });
+
+  elements.cartLoadSelect.addEventListener("change", () => {
+    store.setState({
+      cartLoadKg: Number(elements.cartLoadSelect.value)
+    });
+    renderFbd();
+  });
+
+  elements.trackAngleInput.addEventListener("change", () => {
+    const angle = Number(elements.trackAngleInput.value);
+    store.setState({
+      trackAngleDeg: Number.isFinite(angle) ? Math.min(10, Math.max(-10, angle)) : 0
+    });
+    renderFbd();
+  });
+
+  elements.gravitySelect.addEventListener("change", () => {
+    store.setState({
+      gravityId: elements.gravitySelect.value
+    });
+    renderFbd();
+  });
+
+  elements.customGravityInput.addEventListener("change", () => {
+    const gravity = Number(elements.customGravityInput.value);
+    store.setState({
+      customGravityMps2: Number.isFinite(gravity) ? Math.min(30, Math.max(0.5, gravity)) : G
+    });
+    renderFbd();
+  });
+
+  elements.dropHeightSelect.addEventListener("change", () => {
+    const value = elements.dropHeightSelect.value;
+    store.setState({
+      dropHeightM: value === "" ? null : Number(value)
+    });
+  });
+
+  elements.endStopSelect.addEventListener("change", () => {
+    store.setState({
+      bumperRestitution: Number(elements.endStopSelect.value)
+    });
+  });
+
+  elements.sampleRateSelect.addEventListener("change", () => {
+    store.setState({
+      sampleRateHz: Number(elements.sampleRateSelect.value)
+    });
+  });
+
+  elements.trialDurationSelect.addEventListener("change", () => {
+    store.setState({
+      trialDurationS: Number(elements.trialDurationSelect.value)
+    });
+
+    if (!store.getState().currentTrial) {
+      renderTrialProgress(0, null);
+    }
+  });
+
   elements.noiseCheckbox.addEventListener("change", () => {
     store.setState({
       noiseEnabled: elements.noiseCheckbox.checked
     });
   });
 
+  elements.sonarCheckbox.addEventListener("change", () => {
+    store.setState({
+      sonarArtifacts: elements.sonarCheckbox.checked
+    });
+  });
+
+  elements.velocityFromPositionCheckbox.addEventListener("change", () => {
+    store.setState({
+      velocityFromPosition: elements.velocityFromPositionCheckbox.checked
+    });
+  });
+
   elements.showFbdCheckbox.addEventListener("change", () => {
     store.setState({
       showFbd: elements.showFbdCheckbox.checked
@@ -297,8 +829,32 @@ function bindEvents() {
     renderFbd();
   });
 
+  elements.overlaySelect.addEventListener("change", () => {
+    store.setState({
+      overlay: /** @type {import("./state.js").OverlayMode} */ (elements.overlaySelect.value)
+    });
+    renderTrialProgress(machineView.currentTimeS, store.getState().currentTrial);
+  });
+
+  elements.fitMethodSelect.addEventListener("change", () => {
+    store.setState({
+      fitMethod: /** @type {import("./state.js").FitMethod} */ (elements.fitMethodSelect.value)
+    });
+    renderFitView();
+  });
+
   elements.runTrialButton.addEventListener("click", runTrial);
 
+  elements.tareButton.addEventListener("click", () => {
+    const preset = getPresetById(store.getState().presetId);
+    // Zeroing happens with the string unhooked, so the sensor reads only its offset.
+    const tareN = readForceSensor(preset.forceSensor, 0, 0);
+
+    store.setState({ tareN });
+    updateMeasurementValues();
+    setStatus(`Force sensor zeroed: ${tareN.toFixed(3)} N will be subtracted from tension readings.`, "ok");
+  });
+
   elements.addTrialButton.addEventListener("click", () => {
     const state = store.getState();
 
@@ -319,20 +875,47 @@ function bindEvents() {
       preset: preset.label,
       trial_id: state.currentTrial.id,
       hanging_mass_kg: roundTo(state.currentTrial.physics.hangingMassKg, 3),
+      mass_mode: effectiveMassMode(state),
+      cart_added_mass_kg: state.currentTrial.physics.config.cartAddedMassKg,
+      cart_mass_kg: roundTo(state.currentTrial.physics.config.cartMassKg + state.currentTrial.physics.config.cartAddedMassKg, 3),
+      total_mass_kg: roundTo(state.currentTrial.physics.config.systemMassKg + state.currentTrial.physics.hangingMassKg, 3),
+      gravity_body: gravityLabel(state.gravityId),
+      gravity_mps2: state.currentTrial.physics.config.gravityMps2,
+      track_angle_deg: state.currentTrial.physics.config.trackAngleDeg,
+      drop_height_m: state.currentTrial.physics.dropHeightM,
+      bumper_restitution: state.currentTrial.physics.config.bumperRestitution,
+      sample_rate_hz: state.currentTrial.signals.sampleRateHz,
+      duration_s: state.currentTrial.signals.durationS,
       force_mean_N: roundTo(state.measurement.forceMeanN, 4),
+      force_se_N: roundTo(state.measurement.forceStdErrN, 5),
+      tare_N: roundTo(state.tareN ?? 0, 4),
       accel_mps2: roundTo(state.measurement.accelerationMps2, 4),
+      accel_se_mps2: roundTo(state.measurement.accelerationStdErrMps2, 5),
       moved: true,
       force_window_start_s: roundTo(forceWindow.startS, 3),
       force_window_end_s: roundTo(forceWindow.endS, 3),
       vel_window_start_s: roundTo(velocityWindow.startS, 3),
       vel_window_end_s: roundTo(velocityWindow.endS, 3),
       noise_enabled: state.noiseEnabled,
+      class_code: state.classCode.trim(),
+      group_name: state.groupName.trim(),
+      seed: state.currentTrial.seed,
       timestamp_iso: new Date().toISOString()
     };
 
+    const windowFeedback = preset.showWindowFeedback
+      ? assessWindows(state.currentTrial.id, state.currentTrial.signals.trajectory, {
+        forceWindow,
+        velocityWindow,
+        forceMeanN: state.measurement.forceMeanN,
+        accelerationMps2: state.measurement.accelerationMps2
+      })
+      : null;
+
     store.update((previous) => ({
       ...previous,
-      trialRecords: [...previous.trialRecords, record]
+      trialRecords: [...previous.trialRecords, record],
+      windowFeedback
     }));
 
     setStatus("Trial added. Keep going to build your Force-of-Tension-vs-acceleration trend line.", "ok");
@@ -341,7 +924,8 @@ function bindEvents() {
   elements.clearTrialsButton.addEventListener("click", () => {
     store.update((state) => ({
       ...state,
-      trialRecords: []
+      trialRecords: [],
+      windowFeedback: null
     }));
 
     setStatus("Cleared recorded trials.", "ok");
@@ -370,7 +954,10 @@ function bindEvents() {
     await exportGraphsSnapshot({
       forceCanvas: forceGraph.getCanvas(),
       velocityCanvas: velocityGraph.getCanvas(),
-      fitCanvas: fitGraph.getCanvas()
+      positionCanvas: positionGraph.getCanvas(),
+      accelerometerCanvas: accelerometerGraph.getCanvas(),
+      fitCanvas: fitGraph.getCanvas(),
+      residualCanvas: residualGraph.getCanvas()
     });
 
     setStatus("Graph snapshot export complete.", "ok");
@@ -387,7 +974,8 @@ function bindEvents() {
 
     store.update((state) => ({
       ...state,
-      trialRecords: state.trialRecords.filter((record) => record.trial_id !== trialId)
+      trialRecords: state.trialRecords.filter((record) => record.trial_id !== trialId),
+      windowFeedback: state.windowFeedback?.trialId === trialId ? null : state.windowFeedback
     }));
 
     setStatus(`Removed trial ${trialId}.`, "ok");
@@ -400,40 +988,100 @@ function bindEvents() {
       const direction = Number(button.dataset.dir);
       const delta = Number(button.dataset.step) * direction;
 
-      if (graphId === "force") {
-        forceGraph.nudgeSelection(boundary, delta);
-      } else {
-        velocityGraph.nudgeSelection(boundary, delta);
+      graphById(graphId).nudgeSelection(boundary, delta);
+    });
+  });
+
+  elements.zoomResetButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      graphById(button.dataset.graph).resetZoom();
+    });
+  });
+
+  elements.suggestButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      const state = store.getState();
+      const graph = graphById(button.dataset.graph);
+
+      if (!state.currentTrial || !getPresetById(state.presetId).allowWindowSuggestions) {
+        return;
       }
+
+      if (graph.suggestion) {
+        graph.applySuggestion();
+        setStatus("Suggested window selected. Check it against the graph before adding the trial.", "ok");
+        return;
+      }
+
+      const { signals } = state.currentTrial;
+      const suggestion = suggestSteadyWindow(signals.timesS, signals.forceN, signals.velocityMps, {
+        minWidthS: minSelectionWidthS(signals.sampleRateHz),
+        minPoints: MIN_POINTS
+      });
+
+      if (!suggestion) {
+        setStatus("No steady stretch found: the velocity never runs straight while the force stays flat. Choose a window by eye.", "warn");
+        return;
+      }
+
+      graph.setSuggestion(suggestion);
+      updateActionButtons();
+      setStatus(
+        `Suggested window ${suggestion.startS.toFixed(2)}-${suggestion.endS.toFixed(2)} s shown dashed. Click Use suggestion to select it, or drag your own.`,
+        "ok"
+      );
     });
   });
 }
 
+/**
+ * @param {string} graphId The `data-graph` value on a graph's toolbar buttons.
+ * @returns {TimeSeriesGraph}
+ */
+function graphById(graphId) {
+  if (graphId === "force") {
+    return forceGraph;
+  }
+  if (graphId === "position") {
+    return positionGraph;
+  }
+  if (graphId === "accelerometer") {
+    return accelerometerGraph;
+  }
+  return velocityGraph;
+}
+
 function runTrial() {
   const state = store.getState();
 
-  const physics = computeTrialPhysics({
+  const physics = computeTrialPhysics(trialInputFromState(state));
+  const preset = getPresetById(state.presetId);
+
+  const seed = deriveTrialSeed({
+    classCode: state.classCode,
+    groupName: state.groupName,
+    trialId: state.nextTrialId,
     scenario: state.scenario,
     presetId: state.presetId,
     hangingMassKg: state.hangingMassKg
   });
 
-  const seed = Math.floor(
-    state.nextTrialId * 997
-      + state.hangingMassKg * 10000
-      + (state.scenario === "cart_plus_pad" ? 7000 : 2000)
-      + state.presetId.charCodeAt(0)
-  );
-
   const signals = generateTrialSignals(physics, {
     noiseEnabled: state.noiseEnabled,
-    seed
+    noiseProfile: getNoiseProfileById(preset.noiseProfileId),
+    seed,
+    durationS: state.trialDurationS,
+    sampleRateHz: state.sampleRateHz,
+    forceSensor: preset.forceSensor,
+    motionDetector: state.sonarArtifacts ? SONAR_MOTION_DETECTOR : undefined,
+    velocityFromPosition: state.velocityFromPosition
   });
 
   store.update((previous) => ({
     ...previous,
     currentTrial: {
       id: previous.nextTrialId,
+      seed,
       physics,
       signals
     },
@@ -441,11 +1089,21 @@ function runTrial() {
     measurement: {
       forceWindow: null,
       velocityWindow: null,
+      positionWindow: null,
+      accelerometerWindow: null,
       forceMeanN: null,
-      accelerationMps2: null
+      forceStdErrN: null,
+      accelerationMps2: null,
+      accelerationStdErrMps2: null,
+      accelerometerMeanMps2: null,
+      derivativeMeanMps2: null
     }
   }));
 
+  for (const graph of [forceGraph, velocityGraph, positionGraph, accelerometerGraph]) {
+    graph.setSuggestion(null);
+  }
+
   machineView.setTrial(store.getState().currentTrial);
   machineView.startPlayback(true);
 
@@ -454,6 +1112,11 @@ function runTrial() {
       `Trial ${store.getState().currentTrial.id}: hanging force (${physics.pullingForceN.toFixed(2)} N) is below start threshold (${physics.config.startThresholdN.toFixed(2)} N). Do not add this trial.`,
       "warn"
     );
+  } else if (signals.forceSaturated) {
+    setStatus(
+      `Trial ${store.getState().currentTrial.id}: the force sensor hit its ±${preset.forceSensor.rangeN.toFixed(0)} N limit. Readings at the limit are clipped; keep them out of your tension window.`,
+      "warn"
+    );
   } else {
     setStatus(`Trial ${store.getState().currentTrial.id} ready. Click Play to generate graphs as the cart moves, then select windows.`, "ok");
   }
@@ -473,7 +1136,11 @@ function updateMeasurementValues() {
       measurement: {
         ...previous.measurement,
         forceMeanN: null,
-        accelerationMps2: null
+        forceStdErrN: null,
+        accelerationMps2: null,
+        accelerationStdErrMps2: null,
+        accelerometerMeanMps2: null,
+        derivativeMeanMps2: null
       }
     }));
 
@@ -481,25 +1148,41 @@ function updateMeasurementValues() {
     return;
   }
 
-  const { timesS, forceN, velocityMps } = state.currentTrial.signals;
+  const { timesS, forceN, velocityMps, accelerationMps2: accelerometerMps2, sampleRateHz } = state.currentTrial.signals;
 
   let forceMeanN = null;
-  if (isValidSelection(state.measurement.forceWindow)) {
+  let forceStdErrN = null;
+  if (isValidSelection(state.measurement.forceWindow, sampleRateHz)) {
     const selection = normalize(state.measurement.forceWindow);
     const selected = sliceWindow(timesS, forceN, selection.startS, selection.endS);
 
     if (selected.values.length >= MIN_POINTS) {
-      forceMeanN = mean(selected.values);
+      forceMeanN = mean(selected.values) - (state.tareN ?? 0);
+      forceStdErrN = standardError(selected.values);
     }
   }
 
   let accelerationMps2 = null;
-  if (isValidSelection(state.measurement.velocityWindow)) {
+  let accelerationStdErrMps2 = null;
+  let derivativeMeanMps2 = null;
+  if (isValidSelection(state.measurement.velocityWindow, sampleRateHz)) {
     const selection = normalize(state.measurement.velocityWindow);
     const fit = linearRegressionInWindow(timesS, velocityMps, selection.startS, selection.endS);
 
     if (fit && fit.count >= MIN_POINTS) {
       accelerationMps2 = fit.slope;
+      accelerationStdErrMps2 = fit.slopeStdErr;
+      derivativeMeanMps2 = meanInWindow(timesS, centralDifference(timesS, velocityMps), selection.startS, selection.endS);
+    }
+  }
+
+  let accelerometerMeanMps2 = null;
+  if (isValidSelection(state.measurement.accelerometerWindow, sampleRateHz)) {
+    const selection = normalize(state.measurement.accelerometerWindow);
+    const selected = sliceWindow(timesS, accelerometerMps2, selection.startS, selection.endS);
+
+    if (selected.values.length >= MIN_POINTS) {
+      accelerometerMeanMps2 = meanInWindow(timesS, accelerometerMps2, selection.startS, selection.endS);
     }
   }
 
@@ -508,32 +1191,67 @@ function updateMeasurementValues() {
     measurement: {
       ...previous.measurement,
       forceMeanN,
-      accelerationMps2
+      forceStdErrN,
+      accelerationMps2,
+      accelerationStdErrMps2,
+      accelerometerMeanMps2,
+      derivativeMeanMps2
     }
   }));
 
   renderMeasurementPanel();
 }
 
-function renderMeasurementPanel() {
-  const { measurement } = store.getState();
+/**
+ * @param {import("./state.js").TrialMeasurement} measurement
+ * @returns {string}
+ */
+function describeAccelerationComparison(measurement) {
+  const { accelerationMps2, accelerometerMeanMps2 } = measurement;
 
-  if (measurement.forceWindow) {
-    const normalized = normalize(measurement.forceWindow);
-    elements.forceSelectionLabel.textContent = `${normalized.startS.toFixed(2)} s to ${normalized.endS.toFixed(2)} s`;
-  } else {
-    elements.forceSelectionLabel.textContent = "No window selected";
+  if (accelerationMps2 === null || accelerometerMeanMps2 === null) {
+    return "Select velocity and accelerometer windows to compare the two accelerations.";
   }
 
-  if (measurement.velocityWindow) {
-    const normalized = normalize(measurement.velocityWindow);
-    elements.velocitySelectionLabel.textContent = `${normalized.startS.toFixed(2)} s to ${normalized.endS.toFixed(2)} s`;
-  } else {
-    elements.velocitySelectionLabel.textContent = "No window selected";
+  const difference = accelerometerMeanMps2 - accelerationMps2;
+  const percent = accelerationMps2 !== 0 ? ` (${((difference / accelerationMps2) * 100).toFixed(1)}%)` : "";
+  return `Accelerometer − velocity slope = ${difference.toFixed(3)} m/s^2${percent}`;
+}
+
+/**
+ * @param {import("./state.js").TrialMeasurement} measurement
+ * @returns {string}
+ */
+function describeDerivativeComparison(measurement) {
+  const { accelerationMps2, derivativeMeanMps2 } = measurement;
+
+  if (accelerationMps2 === null || derivativeMeanMps2 === null) {
+    return "Select a velocity window to compare its slope with the average of dv/dt.";
   }
 
-  elements.forceMeanValue.textContent = formatNumber(measurement.forceMeanN, 3);
-  elements.accelValue.textContent = formatNumber(measurement.accelerationMps2, 3);
+  // The central differences telescope, so their mean only sees the samples
+  // at the two ends of the window; the fitted slope uses every sample.
+  return `Average of dv/dt = ${derivativeMeanMps2.toFixed(3)} m/s^2 (slope − average = ${(accelerationMps2 - derivativeMeanMps2).toFixed(3)} m/s^2)`;
+}
+
+function renderMeasurementPanel() {
+  const { measurement, tareN, currentTrial, sampleRateHz: settingRateHz } = store.getState();
+  const sampleRateHz = currentTrial ? currentTrial.signals.sampleRateHz : settingRateHz;
+
+  elements.forceSelectionLabel.textContent = describeSelection(measurement.forceWindow, sampleRateHz);
+  elements.velocitySelectionLabel.textContent = describeSelection(measurement.velocityWindow, sampleRateHz);
+  elements.accelerometerSelectionLabel.textContent = describeSelection(measurement.accelerometerWindow, sampleRateHz);
+
+  elements.forceMeanValue.textContent = measurement.forceMeanN === null
+    ? "--"
+    : formatEstimate(measurement.forceMeanN, measurement.forceStdErrN, 3);
+  elements.accelerometerMeanValue.textContent = formatNumber(measurement.accelerometerMeanMps2, 3);
+  elements.accelComparison.textContent = describeAccelerationComparison(measurement);
+  elements.derivativeComparison.textContent = describeDerivativeComparison(measurement);
+  elements.tareValue.textContent = tareN === null ? "Sensor not zeroed" : `Tare ${tareN.toFixed(3)} N subtracted`;
+  elements.accelValue.textContent = measurement.accelerationMps2 === null
+    ? "--"
+    : formatEstimate(measurement.accelerationMps2, measurement.accelerationStdErrMps2, 3);
 
   renderChecklist();
   updateActionButtons();
@@ -541,20 +1259,46 @@ function renderMeasurementPanel() {
 
 function renderPresetDetails() {
   const state = store.getState();
-  const config = getScenarioConfig({
-    scenario: state.scenario,
-    presetId: state.presetId,
-    hangingMassKg: state.hangingMassKg
-  });
+  const config = getScenarioConfig(trialInputFromState(state));
+  const { forceSensor, noiseProfileId, allowWindowSuggestions, showWindowFeedback } = getPresetById(state.presetId);
+
+  const massLines = config.scenario === "full_atwood"
+    ? [`<li><strong>Counter mass (m₂):</strong> ${config.counterMassKg.toFixed(2)} kg</li>`]
+    : [
+      `<li><strong>Cart mass:</strong> ${config.cartMassKg.toFixed(2)} kg</li>`,
+      `<li><strong>Pad mass:</strong> ${config.padMassKg.toFixed(2)} kg</li>`,
+      ...(effectiveMassMode(state) === "constant_total"
+        ? [`<li><strong>Slotted masses:</strong> ${state.slottedPoolKg.toFixed(2)} kg pool, ${config.cartAddedMassKg.toFixed(2)} kg on the cart</li>`]
+        : []),
+      ...(effectiveMassMode(state) === "vary_cart"
+        ? [`<li><strong>Cart load:</strong> ${config.cartAddedMassKg.toFixed(2)} kg added</li>`]
+        : []),
+      `<li><strong>System mass:</strong> ${config.systemMassKg.toFixed(2)} kg</li>`,
+      `<li><strong>Track angle:</strong> ${config.trackAngleDeg.toFixed(1)}° (weight along track ${config.gravityAlongTrackN.toFixed(2)} N)</li>`
+    ];
 
   elements.presetDetails.innerHTML = [
     `<li><strong>Scenario:</strong> ${config.scenarioLabel}</li>`,
     `<li><strong>Preset:</strong> ${config.presetLabel}</li>`,
-    `<li><strong>Cart mass:</strong> ${config.cartMassKg.toFixed(2)} kg</li>`,
-    `<li><strong>Pad mass:</strong> ${config.padMassKg.toFixed(2)} kg</li>`,
-    `<li><strong>System mass:</strong> ${config.systemMassKg.toFixed(2)} kg</li>`,
+    `<li><strong>Gravity:</strong> ${gravityLabel(state.gravityId)}, g = ${config.gravityMps2.toFixed(2)} m/s^2</li>`,
+    ...massLines,
+    `<li><strong>Pulley effective mass:</strong> ${(config.pulleyEffectiveMassKg * 1000).toFixed(1)} g (I / r^2)</li>`,
+    `<li><strong>Pulley bearing friction:</strong> ${config.pulleyFrictionN.toFixed(3)} N</li>`,
+    ...(config.frictionModel === "coefficient"
+      ? [
+        `<li><strong>Friction coefficients:</strong> μs = ${config.muStatic.toFixed(3)}, μk = ${config.muKinetic.toFixed(3)}</li>`,
+        `<li><strong>Normal force:</strong> ${config.normalForceN.toFixed(2)} N</li>`
+      ]
+      : []),
     `<li><strong>Moving drag:</strong> ${config.dragN.toFixed(2)} N</li>`,
-    `<li><strong>Start threshold:</strong> ${config.startThresholdN.toFixed(2)} N</li>`
+    ...(hasVelocityDependentDrag(config)
+      ? [`<li><strong>Speed drag:</strong> ${config.linearDragNsPerM.toFixed(2)}·v + ${config.quadraticDragNs2PerM2.toFixed(2)}·v^2 N</li>`]
+      : []),
+    `<li><strong>Start threshold:</strong> ${config.startThresholdN.toFixed(2)} N</li>`,
+    `<li><strong>Noise profile:</strong> ${getNoiseProfileById(noiseProfileId).label}</li>`,
+    `<li><strong>Force sensor:</strong> ±${forceSensor.rangeN.toFixed(0)} N range, ${forceSensor.resolutionN.toFixed(3)} N steps, drifts ${(forceSensor.driftNPerS * 1000).toFixed(1)} mN/s</li>`,
+    `<li><strong>Window suggestions:</strong> ${allowWindowSuggestions ? "on" : "off for this preset"}</li>`,
+    `<li><strong>Window feedback:</strong> ${showWindowFeedback ? "shown after each added trial" : "off for this preset"}</li>`
   ].join("");
 }
 
@@ -566,15 +1310,26 @@ function renderCurrentTrialSummary() {
     return;
   }
 
-  const { physics } = state.currentTrial;
+  const { physics, signals } = state.currentTrial;
 
   elements.currentTrialSummary.innerHTML = [
     `<li><strong>Trial ID:</strong> ${state.currentTrial.id}</li>`,
+    `<li><strong>Seed:</strong> ${state.currentTrial.seed}${state.classCode.trim() ? "" : " (no class code set, so every group gets this data)"}</li>`,
     `<li><strong>Hanging mass:</strong> ${physics.hangingMassKg.toFixed(2)} kg</li>`,
+    ...(physics.config.cartAddedMassKg > 0
+      ? [`<li><strong>Added cart mass:</strong> ${physics.config.cartAddedMassKg.toFixed(2)} kg</li>`]
+      : []),
     `<li><strong>Pulling force:</strong> ${physics.pullingForceN.toFixed(2)} N</li>`,
     `<li><strong>Moved:</strong> ${physics.moved ? "Yes" : "No"}</li>`,
     `<li><strong>Model acceleration:</strong> ${physics.moved ? `${physics.accelerationMps2.toFixed(3)} m/s^2` : "N/A"}</li>`,
-    `<li><strong>Model tension:</strong> ${physics.tensionN.toFixed(3)} N</li>`
+    `<li><strong>Model tension:</strong> ${physics.tensionN.toFixed(3)} N</li>`,
+    `<li><strong>Hanging-side tension:</strong> ${physics.hangingTensionN.toFixed(3)} N</li>`,
+    ...(physics.coast
+      ? [`<li><strong>Mass lands:</strong> ${physics.coast.landingTimeS.toFixed(2)} s after release, then the cart coasts at ${(-physics.coast.decelerationMps2).toFixed(3)} m/s^2</li>`]
+      : []),
+    ...(signals.impact
+      ? [`<li><strong>${signals.impact.floorLanding ? "Heavy mass lands" : "End stop"}:</strong> hit at ${signals.impact.timeS.toFixed(2)} s (${signals.impact.speedMps.toFixed(2)} m/s); fit before this time</li>`]
+      : [])
   ].join("");
 }
 
@@ -587,16 +1342,19 @@ function renderTable() {
     return;
   }
 
+  const flagged = flaggedTrialIds(store.getState());
+
   elements.dataTableBody.innerHTML = trialRecords.map((record) => {
-    const scenario = scenarioTitle(/** @type {"cart_only" | "cart_plus_pad"} */ (record.scenario));
+    const scenario = scenarioTitle(/** @type {import("./presets.js").ScenarioId} */ (record.scenario));
 
     return [
-      "<tr>",
+      flagged.has(record.trial_id) ? "<tr class=\"flagged-row\" title=\"Flagged in the residuals view: check this trial's windows.\">" : "<tr>",
       `<td>${record.trial_id}</td>`,
       `<td>${scenario}</td>`,
       `<td>${record.hanging_mass_kg.toFixed(2)}</td>`,
+      `<td>${record.scenario === "full_atwood" ? "--" : record.cart_mass_kg.toFixed(2)}</td>`,
       `<td>${record.force_mean_N.toFixed(3)}</td>`,
-      `<td>${record.accel_mps2.toFixed(3)}</td>`,
+      `<td>${formatEstimate(record.accel_mps2, record.accel_se_mps2 ?? null, 3)}</td>`,
       `<td>${record.force_window_start_s.toFixed(2)} - ${record.force_window_end_s.toFixed(2)}</td>`,
       `<td>${record.vel_window_start_s.toFixed(2)} - ${record.vel_window_end_s.toFixed(2)}</td>`,
       `<td><button class=\"table-button\" data-trial-id=\"${record.trial_id}\">Remove</button></td>`,
@@ -607,25 +1365,211 @@ function renderTable() {
   updateActionButtons();
 }
 
-function renderFitView() {
-  const state = store.getState();
-  const relevantRecords = state.trialRecords.filter((record) => record.scenario === state.scenario);
-  const points = relevantRecords.map((record) => ({
+/**
+ * The accepted trials that belong on the current fit graph, and their points.
+ *
+ * @param {import("./state.js").AppState} state
+ * @returns {{records: import("./state.js").TrialRecord[], points: import("./graphs.js").ScatterPoint[]}}
+ */
+function fitDataset(state) {
+  const massMode = effectiveMassMode(state);
+
+  if (massMode === "vary_cart") {
+    const records = state.trialRecords.filter(
+      (record) => record.scenario === state.scenario
+        && record.mass_mode === "vary_cart"
+        && record.hanging_mass_kg === state.hangingMassKg
+    );
+    const points = records.map((record) => ({
+      x: 1 / record.total_mass_kg,
+      y: record.accel_mps2,
+      xError: 0,
+      yError: record.accel_se_mps2
+    }));
+
+    return { records, points };
+  }
+
+  const constantTotal = massMode === "constant_total";
+  const records = state.trialRecords.filter(
+    (record) => record.scenario === state.scenario
+      && record.mass_mode === massMode
+      && (!constantTotal || roundTo(record.hanging_mass_kg + record.cart_added_mass_kg, 3) === state.slottedPoolKg)
+  );
+  // With the total mass fixed, the hanging weight drives the whole string
+  // system; its slope against a is the total mass when friction is a constant
+  // force on a level track (see constantTotalSlope).
+  const points = records.map((record) => ({
     x: record.accel_mps2,
-    y: record.force_mean_N
+    y: constantTotal ? record.hanging_mass_kg * record.gravity_mps2 : record.force_mean_N,
+    xError: record.accel_se_mps2,
+    yError: constantTotal ? 0 : record.force_se_N
   }));
 
-  const fit = points.length >= 2
-    ? linearRegression(
-      points.map((point) => point.x),
-      points.map((point) => point.y)
-    )
-    : null;
+  return { records, points };
+}
+
+/**
+ * @param {{x: number, y: number}[]} points
+ * @returns {import("./regression.js").PointDiagnostics[]|null}
+ */
+function diagnosePoints(points) {
+  return linearDiagnostics(
+    points.map((point) => point.x),
+    points.map((point) => point.y)
+  );
+}
+
+/**
+ * Trial ids whose points the residual view flags on the current fit graph.
+ *
+ * @param {import("./state.js").AppState} state
+ * @returns {Set<number>}
+ */
+function flaggedTrialIds(state) {
+  const { records, points } = fitDataset(state);
+  const diagnostics = diagnosePoints(points);
+
+  return new Set(
+    diagnostics
+      ? records.filter((_record, index) => diagnostics[index].outlier || diagnostics[index].influential).map((record) => record.trial_id)
+      : []
+  );
+}
+
+/**
+ * Residual view under the fit graph. Residuals are taken from the ordinary
+ * least-squares line whichever fit method is chosen, so the flags do not
+ * depend on how the uncertainties were entered.
+ *
+ * @param {import("./state.js").TrialRecord[]} records
+ * @param {{x: number, y: number}[]} points
+ * @param {string} xLabel
+ */
+function renderResiduals(records, points, xLabel) {
+  const diagnostics = diagnosePoints(points);
+
+  if (!diagnostics) {
+    residualGraph.setData({ points: [], limit: STUDENTIZED_RESIDUAL_LIMIT, xLabel });
+    elements.residualSummary.textContent = points.length
+      ? "Need at least 4 trials on the fit graph to check residuals."
+      : "";
+    return;
+  }
+
+  const flagged = diagnostics.map((point) => point.outlier || point.influential);
+  residualGraph.setData({
+    points: diagnostics.map((point, index) => ({
+      x: points[index].x,
+      y: point.studentizedResidual,
+      label: `Trial ${records[index].trial_id}`,
+      flagged: flagged[index]
+    })),
+    limit: STUDENTIZED_RESIDUAL_LIMIT,
+    xLabel
+  });
+
+  const notes = diagnostics.flatMap((point, index) => {
+    if (!flagged[index]) {
+      return [];
+    }
+
+    const reasons = [];
+    if (point.outlier) {
+      reasons.push(Number.isFinite(point.studentizedResidual)
+        ? `studentized residual ${point.studentizedResidual.toFixed(1)}`
+        : "the other trials lie exactly on a line without it");
+    }
+    if (point.influential) {
+      reasons.push(`Cook's distance ${point.cooksDistance.toFixed(2)} pulls the line`);
+    }
+    return [`Trial ${records[index].trial_id} (${reasons.join("; ")})`];
+  });
+
+  elements.residualSummary.textContent = notes.length
+    ? `Check the windows for: ${notes.join(", ")}. Re-select or remove a trial only if its windows were badly placed.`
+    : `No outliers: every studentized residual is within ±${STUDENTIZED_RESIDUAL_LIMIT} and no trial has Cook's distance above 4/n.`;
+}
+
+/**
+ * @param {import("./windowQuality.js").WindowOverlap} overlap
+ * @returns {string}
+ */
+function describeWindowOverlap(overlap) {
+  if (overlap.widthS <= 0) {
+    return "empty";
+  }
+
+  const parts = [
+    ["steady pull", overlap.steadyS],
+    ["before release", overlap.preMotionS],
+    ["ramp-in", overlap.rampS],
+    ["after the pull", overlap.stopS]
+  ].filter(([, seconds]) => seconds > 0);
+
+  return parts
+    .map(([label, seconds]) => `${Math.round((seconds / overlap.widthS) * 100)}% ${label}`)
+    .join(", ");
+}
+
+/**
+ * @param {number} percent
+ * @returns {string}
+ */
+function formatPercentError(percent) {
+  return Number.isFinite(percent) ? `${percent >= 0 ? "+" : ""}${percent.toFixed(1)}%` : "n/a";
+}
+
+/**
+ * Formative feedback on the last trial added: where its windows sat against
+ * the model's phases and how far its results landed from the model values.
+ */
+function renderWindowFeedback() {
+  const state = store.getState();
+  const feedback = getPresetById(state.presetId).showWindowFeedback ? state.windowFeedback : null;
+
+  elements.windowFeedbackPanel.hidden = !feedback;
+  if (!feedback) {
+    elements.windowFeedbackList.innerHTML = "";
+    return;
+  }
+
+  const offSteady = feedback.force.steadyS < feedback.force.widthS || feedback.velocity.steadyS < feedback.velocity.widthS;
+
+  elements.windowFeedbackList.innerHTML = [
+    `<li><strong>Trial ${feedback.trialId} force window:</strong> ${describeWindowOverlap(feedback.force)}</li>`,
+    `<li><strong>Trial ${feedback.trialId} velocity window:</strong> ${describeWindowOverlap(feedback.velocity)}</li>`,
+    `<li><strong>Fₜ:</strong> ${feedback.forceMeanN.toFixed(3)} N vs model ${feedback.modelTensionN.toFixed(3)} N (${formatPercentError(feedback.forcePercentError)})</li>`,
+    `<li><strong>Acceleration:</strong> ${feedback.accelerationMps2.toFixed(3)} m/s^2 vs model ${feedback.modelAccelerationMps2.toFixed(3)} m/s^2 (${formatPercentError(feedback.accelerationPercentError)})</li>`,
+    offSteady
+      ? "<li>Part of a window falls outside the steady pull. Keep both windows between the end of the ramp-in and the end of the pull.</li>"
+      : "<li>Both windows sit inside the steady pull.</li>"
+  ].join("");
+}
+
+function renderFitView() {
+  const state = store.getState();
+  const massMode = effectiveMassMode(state);
+
+  if (massMode === "vary_cart") {
+    renderMassFitView(state);
+    return;
+  }
+
+  const constantTotal = massMode === "constant_total";
+  const { records, points } = fitDataset(state);
+
+  const trend = points.length >= 2 ? fitTrendLine(points, state.fitMethod) : null;
+  const fit = trend?.fit ?? null;
+  const candidates = renderModelComparison(points, "a", constantTotal ? "m·g" : "Fₜ", "N");
 
   fitGraph.setData({
     points,
-    fit
+    fit,
+    candidates,
+    yLabel: constantTotal ? "Hanging weight, m·g (N)" : "Force of Tension, Fₜ (N)"
   });
+  renderResiduals(records, points, "Acceleration (m/s^2)");
 
   if (!fit) {
     elements.fitEquation.textContent = `Need at least 2 accepted ${scenarioTitle(state.scenario)} trials for a linear fit.`;
@@ -635,19 +1579,184 @@ function renderFitView() {
     return;
   }
 
+  elements.fitQuality.textContent = describeFitQuality(fit, "N") + describeFitFallback(state.fitMethod, trend.method)
+    + describeFitWeights(trend.method);
+
+  if (constantTotal) {
+    const config = getScenarioConfig(trialInputFromState(state));
+    const { totalMassKg, divisor, slopeKg } = constantTotalSlope(config, state.slottedPoolKg);
+    const massLabel = `cart${config.scenario === "cart_plus_pad" ? " + pad" : ""} + slotted masses = ${totalMassKg.toFixed(3)} kg`;
+    const tilted = config.trackAngleDeg !== 0;
+    const sheds = [
+      ...(config.frictionModel === "coefficient" ? ["its μ friction"] : []),
+      ...(tilted ? ["its weight along the track"] : [])
+    ];
+
+    const slopeHint = sheds.length
+      ? `Each kilogram moved to the hanger also takes ${sheds.join(" and ")} off the cart, so the slope is the total mass (${massLabel}, plus a few grams for the pulley) divided by 1 + sin θ + μk cos θ = ${divisor.toFixed(3)}: expect about ${slopeKg.toFixed(3)} kg.`
+      : `Slope is the total accelerated mass, which should match ${massLabel} (plus a few grams for the pulley).`;
+    const interceptHint = tilted
+      ? "hanging weight that just balances friction and the pull along the tilted track"
+      : "hanging weight needed just to overcome friction";
+
+    elements.fitEquation.textContent = `Hanging weight, m·g = (${fit.slope.toFixed(3)} kg)·a + (${fit.intercept.toFixed(3)} N)`;
+    elements.fitInterpretation.innerHTML = [
+      `<li><strong>Mathematical slope:</strong> m = ${formatEstimate(fit.slope, fit.slopeCi95)} kg</li>`,
+      `<li><strong>Mathematical intercept:</strong> ${formatEstimate(fit.intercept, fit.interceptCi95)} N (${interceptHint})</li>`,
+      `<li><strong>Physical meaning hint:</strong> ${slopeHint}</li>`,
+      "<li><strong>Physical meaning hint:</strong> Moving masses from cart to hanger changes the force but not the mass, so the points fall on one line.</li>"
+    ].join("");
+
+    renderChecklist();
+    return;
+  }
+
   elements.fitEquation.textContent = `Force of Tension, Fₜ = (${fit.slope.toFixed(3)} N/m/s^2)·a + (${fit.intercept.toFixed(3)} N)`;
-  elements.fitQuality.textContent = `R^2 = ${fit.r2.toFixed(4)} with ${fit.count} points`;
 
-  const scenarioPrompt = state.scenario === "cart_plus_pad"
-    ? "For cart + friction pad, expect a larger positive intercept because friction resists motion."
-    : "For cart only, intercept should stay near zero when friction is minimal.";
+  const scenarioPrompts = {
+    cart_only: "For cart only, intercept should stay near zero when friction is minimal.",
+    cart_plus_pad: "For cart + friction pad, expect a larger positive intercept because friction resists motion.",
+    full_atwood: "For the full Atwood machine, the sensor lifts the counter mass: expect slope ≈ m₂ and intercept ≈ its weight m₂g."
+  };
+  const scenarioPrompt = scenarioPrompts[state.scenario];
+
+  // Gravity never shows up in the slope; where it hides depends on the setup.
+  let gravityPrompt = "On a level track g only enters through the hanging weight: use a = (m·g − f) / (M + m) with the fitted M (slope) and f (intercept) to estimate g.";
+  if (state.scenario === "full_atwood") {
+    gravityPrompt = `Intercept ÷ slope = ${(fit.intercept / fit.slope).toFixed(2)} m/s^2, which is g plus a small friction term.`;
+  } else if (state.trackAngleDeg !== 0) {
+    gravityPrompt = "On a tilted track the intercept also holds M·g·sin θ, so comparing level and tilted fits gives g.";
+  }
 
   elements.fitInterpretation.innerHTML = [
-    `<li><strong>Mathematical slope:</strong> ${fit.slope.toFixed(3)} N/m/s^2</li>`,
-    `<li><strong>Mathematical intercept:</strong> ${fit.intercept.toFixed(3)} N (Force of Tension at a = 0)</li>`,
+    `<li><strong>Mathematical slope:</strong> m = ${formatEstimate(fit.slope, fit.slopeCi95)} kg (N per m/s^2)</li>`,
+    `<li><strong>Mathematical intercept:</strong> ${formatEstimate(fit.intercept, fit.interceptCi95)} N (Force of Tension at a = 0)</li>`,
     "<li><strong>Physical meaning hint:</strong> Slope approximates effective accelerated mass of the system.</li>",
     "<li><strong>Physical meaning hint:</strong> Intercept represents resistive-force offset when acceleration trends toward zero.</li>",
-    `<li><strong>Scenario check:</strong> ${scenarioPrompt}</li>`
+    `<li><strong>Scenario check:</strong> ${scenarioPrompt}</li>`,
+    `<li><strong>Gravity check:</strong> ${gravityPrompt}</li>`
+  ].join("");
+
+  renderChecklist();
+}
+
+/**
+ * @param {import("./regression.js").ModelFit} model
+ * @param {string} xSymbol
+ * @param {string} ySymbol
+ * @returns {string}
+ */
+function formatModelEquation(model, xSymbol, ySymbol) {
+  const [c0, c1, c2] = model.coefficients;
+  const terms = [];
+
+  if (model.id === "quadratic") {
+    terms.push(`${c2.toFixed(3)}·${xSymbol}²`);
+  }
+  terms.push(`${c1.toFixed(3)}·${xSymbol}`);
+  if (model.id !== "origin") {
+    terms.push(c0.toFixed(3));
+  }
+
+  return `${ySymbol} = ${terms.join(" + ").replaceAll("+ -", "− ")}`;
+}
+
+/**
+ * Fills the model-comparison table and returns the curves to overlay on the
+ * fit graph (the straight line with an intercept is already drawn as the fit).
+ *
+ * @param {{x: number, y: number}[]} points
+ * @param {string} xSymbol
+ * @param {string} ySymbol
+ * @param {string} yUnit
+ * @returns {{label: string, coefficients: number[]}[]}
+ */
+function renderModelComparison(points, xSymbol, ySymbol, yUnit) {
+  const models = compareModels(
+    points.map((point) => point.x),
+    points.map((point) => point.y)
+  );
+
+  if (!models.length) {
+    elements.modelComparisonBody.innerHTML = "<tr><td colspan=\"7\">Need at least 2 accepted trials to compare models.</td></tr>";
+    elements.modelVerdict.textContent = "";
+    return [];
+  }
+
+  const finite = models.filter((model) => Number.isFinite(model.aic));
+  const best = finite.length
+    ? finite.reduce((winner, model) => (model.aic < winner.aic ? model : winner))
+    : null;
+
+  elements.modelComparisonBody.innerHTML = models.map((model) => [
+    `<tr${model === best ? " class=\"best-model\"" : ""}>`,
+    `<td>${model.label}</td>`,
+    `<td>${formatModelEquation(model, xSymbol, ySymbol)}</td>`,
+    `<td>${model.r2.toFixed(4)}</td>`,
+    `<td>${formatNumber(model.adjustedR2, 4)}</td>`,
+    `<td>${Number.isFinite(model.aic) ? model.aic.toFixed(1) : "--"}</td>`,
+    `<td>${best && Number.isFinite(model.aic) ? (model.aic - best.aic).toFixed(1) : "--"}</td>`,
+    `<td>${model.residualRms.toFixed(4)} ${yUnit}</td>`,
+    "</tr>"
+  ].join("")).join("");
+
+  const origin = models.find((model) => model.id === "origin");
+  const linear = models.find((model) => model.id === "linear");
+  const interceptCost = origin && linear && Number.isFinite(origin.aic) && Number.isFinite(linear.aic)
+    ? ` Forcing the line through the origin changes AIC by ${(origin.aic - linear.aic).toFixed(1)}.`
+    : "";
+
+  elements.modelVerdict.textContent = best
+    ? `Lowest AIC: ${best.label.toLowerCase()}.${interceptCost} A ΔAIC under about 2 cannot tell models apart; above about 10 rules the worse one out.`
+    : "";
+
+  return models
+    .filter((model) => model.id !== "linear")
+    .map((model) => ({ label: model.label, coefficients: model.coefficients }));
+}
+
+/**
+ * Mass-vs-acceleration part: hanging mass fixed, cart loaded up, a against 1/m.
+ *
+ * @param {import("./state.js").AppState} state
+ */
+function renderMassFitView(state) {
+  const { records, points } = fitDataset(state);
+
+  const trend = points.length >= 2 ? fitTrendLine(points, state.fitMethod) : null;
+  const fit = trend?.fit ?? null;
+  const candidates = renderModelComparison(points, "(1/m)", "a", "m/s^2");
+
+  fitGraph.setData({
+    points,
+    fit,
+    candidates,
+    xLabel: "1 / total mass, 1/m (1/kg)",
+    yLabel: "Acceleration, a (m/s^2)"
+  });
+  renderResiduals(records, points, "1 / total mass, 1/m (1/kg)");
+
+  if (!fit) {
+    elements.fitEquation.textContent = `Need at least 2 accepted trials with a ${state.hangingMassKg.toFixed(2)} kg hanging mass and different cart masses for a fit.`;
+    elements.fitQuality.textContent = "R^2: --";
+    elements.fitInterpretation.innerHTML = "<li>Mathematical meaning: slope = rate of change of acceleration with 1/m.</li><li>Physical meaning prompt: keep the hanging mass fixed and load the cart to change m.</li>";
+    renderChecklist();
+    return;
+  }
+
+  const hangingWeightN = state.hangingMassKg * gravityFromState(state);
+
+  elements.fitEquation.textContent = `Acceleration, a = (${fit.slope.toFixed(3)} N)·(1/m) + (${fit.intercept.toFixed(3)} m/s^2)`;
+  elements.fitQuality.textContent = describeFitQuality(fit, "m/s^2") + describeFitFallback(state.fitMethod, trend.method)
+    + describeFitWeights(trend.method);
+  elements.fitInterpretation.innerHTML = [
+    `<li><strong>Mathematical slope:</strong> ${formatEstimate(fit.slope, fit.slopeCi95)} N (m/s^2 per 1/kg)</li>`,
+    `<li><strong>Mathematical intercept:</strong> ${formatEstimate(fit.intercept, fit.interceptCi95)} m/s^2 (acceleration as the mass grows without limit)</li>`,
+    `<li><strong>Physical meaning hint:</strong> Slope is the net force on the system; compare it with the hanging weight m·g = ${hangingWeightN.toFixed(3)} N. The gap is friction.</li>`,
+    "<li><strong>Physical meaning hint:</strong> A straight line through the origin means a ∝ 1/m: doubling the mass halves the acceleration.</li>",
+    state.scenario === "cart_plus_pad"
+      ? "<li><strong>Scenario check:</strong> Pad friction grows with the load on a coefficient preset, which bends the line and pulls the intercept below zero.</li>"
+      : "<li><strong>Scenario check:</strong> For cart only, expect an intercept close to zero.</li>"
   ].join("");
 
   renderChecklist();
@@ -666,6 +1775,7 @@ function renderChecklist() {
   const exportReady = state.trialRecords.length > 0;
 
   toggleChecklistItem(elements.checklistItems.setup, setupDone);
+  toggleChecklistItem(elements.checklistItems.tare, state.tareN !== null);
   toggleChecklistItem(elements.checklistItems.run, runDone);
   toggleChecklistItem(elements.checklistItems.forceWindow, forceDone);
   toggleChecklistItem(elements.checklistItems.velocityWindow, velocityDone);
@@ -691,14 +1801,32 @@ function updateActionButtons() {
       && state.currentTrial.physics.moved
       && state.measurement.forceMeanN !== null
       && state.measurement.accelerationMps2 !== null
-      && isValidSelection(state.measurement.forceWindow)
-      && isValidSelection(state.measurement.velocityWindow)
+      && isValidSelection(state.measurement.forceWindow, state.currentTrial.signals.sampleRateHz)
+      && isValidSelection(state.measurement.velocityWindow, state.currentTrial.signals.sampleRateHz)
   );
 
   elements.addTrialButton.disabled = !canAddTrial;
   elements.exportCsvButton.disabled = state.trialRecords.length === 0;
   elements.clearTrialsButton.disabled = state.trialRecords.length === 0;
   elements.exportPngButton.disabled = state.currentTrial === null;
+
+  const suggestionsAllowed = getPresetById(state.presetId).allowWindowSuggestions;
+  elements.suggestButtons.forEach((button) => {
+    const graph = graphById(button.dataset.graph);
+    if (!suggestionsAllowed && graph.suggestion) {
+      graph.setSuggestion(null);
+    }
+
+    button.hidden = !suggestionsAllowed;
+    button.disabled = state.currentTrial === null;
+    button.textContent = graph.suggestion ? "Use suggestion" : "Suggest window";
+  });
+}
+
+function syncZoomButtons() {
+  elements.zoomResetButtons.forEach((button) => {
+    button.disabled = !graphById(button.dataset.graph).isZoomed();
+  });
 }
 
 function renderFbd() {
@@ -711,43 +1839,67 @@ function renderFbd() {
 
   const config = state.currentTrial
     ? state.currentTrial.physics.config
-    : getScenarioConfig({
-      scenario: state.scenario,
-      presetId: state.presetId,
-      hangingMassKg: state.hangingMassKg
-    });
+    : getScenarioConfig(trialInputFromState(state));
 
-  const tension = state.currentTrial?.physics.tensionN ?? state.hangingMassKg * 9.81;
+  const tension = state.currentTrial?.physics.tensionN ?? state.hangingMassKg * config.gravityMps2;
   const friction = config.dragN;
-  const weight = config.systemMassKg * 9.81;
+  const weight = config.systemMassKg * config.gravityMps2;
+
+  if (config.scenario === "full_atwood") {
+    renderFullAtwoodFbd(tension, weight, gravitySourceLabel(config.gravityMps2));
+    return;
+  }
+  const normal = config.normalForceN;
+  const angleDeg = config.trackAngleDeg;
+  const tilted = angleDeg !== 0;
+
+  // Track-aligned vectors are drawn in a group rotated with the track; weight
+  // stays vertical. The along-track weight component points down the slope and
+  // is exaggerated so it stays visible at the few-degree tilts used in class.
+  const angleRad = (angleDeg * Math.PI) / 180;
+  const downSlopeDir = angleDeg > 0 ? -1 : 1;
+  const parallelPx = Math.max(18, 85 * Math.abs(Math.sin(angleRad)) * 4);
+  const perpendicularPx = 85 * Math.cos(angleRad);
 
   const isPadScenario = state.scenario === "cart_plus_pad";
+  const gravitySource = gravitySourceLabel(config.gravityMps2);
   const objectLabel = isPadScenario ? "Cart + Pad" : "Cart";
   const vectorColor = "#124d62";
+  const componentColor = "#7a5a12";
   const textColor = "#0b3342";
   const bodyFill = "#e6f4f8";
   const bodyStroke = "#124d62";
   const padFill = "#cf8f2f";
 
   elements.fbdFigure.innerHTML = `
-    <svg viewBox="0 0 520 220" role="img" aria-label="Free-body diagram for ${objectLabel}">
+    <svg viewBox="0 0 520 ${tilted ? 250 : 220}" role="img" aria-label="Free-body diagram for ${objectLabel}${tilted ? ` on a ${angleDeg.toFixed(1)} degree track` : ""}">
       <defs>
         <marker id="arrowHead" markerWidth="10" markerHeight="7" refX="9" refY="3.5" orient="auto">
           <polygon points="0 0, 10 3.5, 0 7" fill="${vectorColor}"></polygon>
         </marker>
+        <marker id="componentHead" markerWidth="10" markerHeight="7" refX="9" refY="3.5" orient="auto">
+          <polygon points="0 0, 10 3.5, 0 7" fill="${componentColor}"></polygon>
+        </marker>
       </defs>
-      <rect x="180" y="90" width="140" height="70" rx="8" fill="${bodyFill}" stroke="${bodyStroke}" stroke-width="2"></rect>
-      ${isPadScenario ? `<rect x="190" y="165" width="120" height="10" rx="2" fill="${padFill}"></rect>` : ""}
-      <line x1="250" y1="125" x2="430" y2="125" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
-      <line x1="250" y1="125" x2="70" y2="125" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
-      <line x1="250" y1="125" x2="250" y2="25" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
+      <g transform="rotate(${-angleDeg} 250 125)">
+        ${tilted ? `<line x1="120" y1="${isPadScenario ? 177 : 162}" x2="380" y2="${isPadScenario ? 177 : 162}" stroke="#7f9aa3" stroke-width="2"></line>` : ""}
+        <rect x="180" y="90" width="140" height="70" rx="8" fill="${bodyFill}" stroke="${bodyStroke}" stroke-width="2"></rect>
+        ${isPadScenario ? `<rect x="190" y="165" width="120" height="10" rx="2" fill="${padFill}"></rect>` : ""}
+        <line x1="250" y1="125" x2="430" y2="125" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
+        <line x1="250" y1="125" x2="70" y2="125" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
+        <line x1="250" y1="125" x2="250" y2="25" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
+        <line x1="244" y1="74" x2="256" y2="84" stroke="${vectorColor}" stroke-width="2"></line>
+        ${tilted ? `
+        <line x1="250" y1="125" x2="${250 + downSlopeDir * parallelPx}" y2="125" stroke="${componentColor}" stroke-width="2" stroke-dasharray="5 3" marker-end="url(#componentHead)" transform="translate(0 14)"></line>
+        <line x1="250" y1="125" x2="250" y2="${125 + perpendicularPx}" stroke="${componentColor}" stroke-width="2" stroke-dasharray="5 3" marker-end="url(#componentHead)" transform="translate(14 0)"></line>
+        ` : ""}
+      </g>
       <line x1="250" y1="125" x2="250" y2="210" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
-      <line x1="244" y1="74" x2="256" y2="84" stroke="${vectorColor}" stroke-width="2"></line>
       <line x1="244" y1="176" x2="256" y2="186" stroke="${vectorColor}" stroke-width="2"></line>
       <circle cx="250" cy="125" r="3.5" fill="${vectorColor}"></circle>
       <text x="12" y="34" fill="${textColor}" font-size="11">
         <tspan>F<tspan baseline-shift="sub" font-size="8">N</tspan> on ${objectLabel} by Track</tspan>
-        <tspan x="12" dy="14">≈ ${weight.toFixed(2)} N</tspan>
+        <tspan x="12" dy="14">≈ ${normal.toFixed(2)} N</tspan>
       </text>
       <text x="302" y="34" fill="${textColor}" font-size="11">
         <tspan>Force of Tension: F<tspan baseline-shift="sub" font-size="8">t</tspan> on ${objectLabel} by String</tspan>
@@ -758,15 +1910,57 @@ function renderFbd() {
         <tspan x="12" dy="14">≈ ${friction.toFixed(2)} N</tspan>
       </text>
       <text x="302" y="180" fill="${textColor}" font-size="11">
-        <tspan>F<tspan baseline-shift="sub" font-size="8">g</tspan> on ${objectLabel} by Earth</tspan>
+        <tspan>F<tspan baseline-shift="sub" font-size="8">g</tspan> on ${objectLabel} by ${gravitySource}</tspan>
         <tspan x="302" dy="14">≈ ${weight.toFixed(2)} N</tspan>
       </text>
-      <text x="225" y="118" fill="${textColor}" font-size="14">${objectLabel}</text>
+      ${tilted ? `
+      <text x="12" y="228" fill="${componentColor}" font-size="11">
+        <tspan>F<tspan baseline-shift="sub" font-size="8">g∥</tspan> = F<tspan baseline-shift="sub" font-size="8">g</tspan> sin ${Math.abs(angleDeg).toFixed(1)}° ≈ ${Math.abs(config.gravityAlongTrackN).toFixed(2)} N (${angleDeg > 0 ? "down-slope, away from pulley" : "down-slope, toward pulley"})</tspan>
+        <tspan x="12" dy="14">F<tspan baseline-shift="sub" font-size="8">g⊥</tspan> = F<tspan baseline-shift="sub" font-size="8">g</tspan> cos ${Math.abs(angleDeg).toFixed(1)}° ≈ ${normal.toFixed(2)} N (into track)</tspan>
+      </text>
+      ` : ""}
+      <text x="225" y="118" fill="${textColor}" font-size="14" transform="rotate(${-angleDeg} 250 125)">${objectLabel}</text>
       <text x="263" y="146" fill="${textColor}" font-size="11">center of mass</text>
     </svg>
   `;
 }
 
+/**
+ * Counter mass m₂ in the full Atwood: only the string and gravity act on it.
+ *
+ * @param {number} tension
+ * @param {number} weight
+ * @param {string} gravitySource
+ */
+function renderFullAtwoodFbd(tension, weight, gravitySource) {
+  const vectorColor = "#124d62";
+  const textColor = "#0b3342";
+  const upLength = Math.max(40, Math.min(100, 70 * (tension / (weight || 1))));
+
+  elements.fbdFigure.innerHTML = `
+    <svg viewBox="0 0 520 220" role="img" aria-label="Free-body diagram for the counter mass">
+      <defs>
+        <marker id="arrowHead" markerWidth="10" markerHeight="7" refX="9" refY="3.5" orient="auto">
+          <polygon points="0 0, 10 3.5, 0 7" fill="${vectorColor}"></polygon>
+        </marker>
+      </defs>
+      <rect x="215" y="95" width="70" height="60" rx="6" fill="#e6f4f8" stroke="${vectorColor}" stroke-width="2"></rect>
+      <line x1="250" y1="125" x2="250" y2="${125 - upLength}" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
+      <line x1="250" y1="125" x2="250" y2="195" stroke="${vectorColor}" stroke-width="3" marker-end="url(#arrowHead)"></line>
+      <circle cx="250" cy="125" r="3.5" fill="${vectorColor}"></circle>
+      <text x="302" y="40" fill="${textColor}" font-size="11">
+        <tspan>Force of Tension: F<tspan baseline-shift="sub" font-size="8">t</tspan> on m₂ by String</tspan>
+        <tspan x="302" dy="14">≈ ${tension.toFixed(2)} N</tspan>
+      </text>
+      <text x="302" y="180" fill="${textColor}" font-size="11">
+        <tspan>F<tspan baseline-shift="sub" font-size="8">g</tspan> on m₂ by ${gravitySource}</tspan>
+        <tspan x="302" dy="14">≈ ${weight.toFixed(2)} N</tspan>
+      </text>
+      <text x="236" y="118" fill="${textColor}" font-size="14">m₂</text>
+    </svg>
+  `;
+}
+
 /**
  * @param {string} message
  * @param {"ok" | "warn"} tone
@@ -783,12 +1977,43 @@ function syncControlsFromState() {
   if (expectedOptions.join(",") !== currentOptions.join(",")) {
     hydratePresetSelect(state.scenario, state.presetId);
   }
-  elements.presetSelect.disabled = state.scenario === "cart_only";
+  elements.presetSelect.disabled = expectedOptions.length === 1;
+  elements.classCodeInput.value = state.classCode;
+  elements.groupNameInput.value = state.groupName;
   elements.scenarioSelect.value = state.scenario;
   elements.presetSelect.value = state.presetId;
+  const expectedMasses = availableHangingMasses(state);
+  const currentMasses = Array.from(elements.hangingMassSelect.options).map((option) => Number(option.value));
+  if (expectedMasses.join(",") !== currentMasses.join(",")) {
+    hydrateHangingMassSelect(expectedMasses, state.hangingMassKg);
+  }
   elements.hangingMassSelect.value = String(state.hangingMassKg);
+  elements.massModeSelect.value = state.massMode;
+  elements.massModeSelect.disabled = state.scenario === "full_atwood";
+  elements.slottedPoolSelect.value = String(state.slottedPoolKg);
+  elements.slottedPoolSelect.disabled = effectiveMassMode(state) !== "constant_total";
+  elements.cartLoadSelect.value = String(state.cartLoadKg);
+  elements.cartLoadSelect.disabled = effectiveMassMode(state) !== "vary_cart";
+  elements.trackAngleInput.value = String(state.trackAngleDeg);
+  elements.trackAngleInput.disabled = state.scenario === "full_atwood";
+  elements.gravitySelect.value = state.gravityId;
+  elements.customGravityInput.value = String(state.customGravityMps2);
+  elements.customGravityInput.disabled = state.gravityId !== "custom";
+  elements.dropHeightSelect.value = state.dropHeightM === null ? "" : String(state.dropHeightM);
+  elements.dropHeightSelect.disabled = state.scenario === "full_atwood";
+  elements.endStopSelect.value = String(state.bumperRestitution);
+  elements.endStopSelect.disabled = state.scenario === "full_atwood";
+  elements.sampleRateSelect.value = String(state.sampleRateHz);
+  elements.trialDurationSelect.value = String(state.trialDurationS);
+  if (!state.currentTrial) {
+    elements.machineTimeSlider.max = String(state.trialDurationS);
+  }
   elements.noiseCheckbox.checked = state.noiseEnabled;
+  elements.sonarCheckbox.checked = state.sonarArtifacts;
+  elements.velocityFromPositionCheckbox.checked = state.velocityFromPosition;
   elements.showFbdCheckbox.checked = state.showFbd;
+  elements.fitMethodSelect.value = state.fitMethod;
+  elements.overlaySelect.value = state.overlay;
 }
 
 function renderAll() {
@@ -797,6 +2022,7 @@ function renderAll() {
   renderCurrentTrialSummary();
   renderMeasurementPanel();
   renderTable();
+  renderWindowFeedback();
   renderFitView();
   renderChecklist();
   renderFbd();
@@ -824,10 +2050,28 @@ function init() {
     selection: null
   });
 
+  positionGraph.setData({
+    timesS: [],
+    values: [],
+    motionWindow: null,
+    selection: null
+  });
+
+  accelerometerGraph.setData({
+    timesS: [],
+    values: [],
+    motionWindow: null,
+    selection: null
+  });
+
   fitGraph.setData({
     points: [],
     fit: null
   });
+  residualGraph.setData({
+    points: [],
+    limit: STUDENTIZED_RESIDUAL_LIMIT
+  });
   machineView.setTrial(null);
 
   store.subscribe(() => {
@@ -33,14 +33,31 @@ export function exportTrialDataCsv(records) {
     "preset",
     "trial_id",
     "hanging_mass_kg",
+    "mass_mode",
+    "cart_added_mass_kg",
+    "cart_mass_kg",
+    "total_mass_kg",
+    "gravity_body",
+    "gravity_mps2",
+    "track_angle_deg",
+    "drop_height_m",
+    "bumper_restitution",
+    "sample_rate_hz",
+    "duration_s",
     "force_mean_N",
+    "force_se_N",
+    "tare_N",
     "accel_mps2",
+    "accel_se_mps2",
     "moved",
     "force_window_start_s",
     "force_window_end_s",
     "vel_window_start_s",
     "vel_window_end_s",
     "noise_enabled",
+    "class_code",
+    "group_name",
+    "seed",
     "timestamp_iso"
   ];
 
@@ -52,14 +69,31 @@ export function exportTrialDataCsv(records) {
       quoteCsv(record.preset),
       record.trial_id,
       record.hanging_mass_kg,
+      quoteCsv(record.mass_mode),
+      record.cart_added_mass_kg,
+      record.cart_mass_kg,
+      record.total_mass_kg,
+      quoteCsv(record.gravity_body),
+      record.gravity_mps2,
+      record.track_angle_deg ?? "",
+      record.drop_height_m ?? "",
+      record.bumper_restitution,
+      record.sample_rate_hz,
+      record.duration_s,
       record.force_mean_N,
+      record.force_se_N ?? "",
+      record.tare_N,
       record.accel_mps2,
+      record.accel_se_mps2 ?? "",
       record.moved,
       record.force_window_start_s,
       record.force_window_end_s,
       record.vel_window_start_s,
       record.vel_window_end_s,
       record.noise_enabled,
+      quoteCsv(record.class_code),
+      quoteCsv(record.group_name),
+      record.seed,
       quoteCsv(record.timestamp_iso)
     ].join(","));
   }
@@ -69,22 +103,20 @@ export function exportTrialDataCsv(records) {
 }
 
 /**
- * @param {{forceCanvas: HTMLCanvasElement, velocityCanvas: HTMLCanvasElement, fitCanvas: HTMLCanvasElement}} canvases
+ * @param {{forceCanvas: HTMLCanvasElement, velocityCanvas: HTMLCanvasElement, positionCanvas: HTMLCanvasElement, accelerometerCanvas: HTMLCanvasElement, fitCanvas: HTMLCanvasElement, residualCanvas: HTMLCanvasElement}} canvases
  * @returns {Promise<void>}
  */
 export async function exportGraphsSnapshot(canvases) {
   const deviceScale = window.devicePixelRatio || 1;
-  const width = Math.max(canvases.forceCanvas.width, canvases.velocityCanvas.width, canvases.fitCanvas.width);
+  const stacked = [canvases.forceCanvas, canvases.velocityCanvas, canvases.positionCanvas, canvases.accelerometerCanvas, canvases.fitCanvas, canvases.residualCanvas];
+  const width = Math.max(...stacked.map((canvas) => canvas.width));
   const padding = 20 * deviceScale;
   const headingSpace = 36 * deviceScale;
   const chartGap = 14 * deviceScale;
 
   const height = headingSpace
-    + canvases.forceCanvas.height
-    + chartGap
-    + canvases.velocityCanvas.height
-    + chartGap
-    + canvases.fitCanvas.height
+    + stacked.reduce((total, canvas) => total + canvas.height, 0)
+    + chartGap * (stacked.length - 1)
     + padding;
 
   const outCanvas = document.createElement("canvas");
@@ -100,13 +132,10 @@ export async function exportGraphsSnapshot(canvases) {
   context.fillText("Newton's 2nd Law Simulation - Graph Snapshot", padding, 24 * deviceScale);
 
   let y = headingSpace;
-  context.drawImage(canvases.forceCanvas, padding, y);
-  y += canvases.forceCanvas.height + chartGap;
-
-  context.drawImage(canvases.velocityCanvas, padding, y);
-  y += canvases.velocityCanvas.height + chartGap;
-
-  context.drawImage(canvases.fitCanvas, padding, y);
+  for (const canvas of stacked) {
+    context.drawImage(canvas, padding, y);
+    y += canvas.height + chartGap;
+  }
 
   await new Promise((resolve) => {
     outCanvas.toBlob((blob) => {
@@ -1,3 +1,5 @@
+import { evaluatePolynomial } from "./regression.js";
+
 const MARGIN = {
   left: 74,
   right: 20,
@@ -5,6 +7,15 @@ const MARGIN = {
   bottom: 38
 };
 
+/** Narrowest time span a time graph zooms in to. */
+const MIN_VIEW_SPAN_S = 0.05;
+
+/** Wheel zoom per pixel of scroll; a typical 100 px notch zooms by about 20%. */
+const WHEEL_ZOOM_PER_PX = 0.002;
+
+/** Dashed comparison curves on the fit graph, in the order they are passed. */
+const CANDIDATE_COLORS = ["#7a4cc2", "#2f8f46"];
+
 /**
  * @param {number} value
  * @param {number} min
@@ -78,12 +89,54 @@ function normalizeSelection(selection) {
   };
 }
 
+/**
+ * Fits a visible time range inside the full one, keeping its span where it
+ * can so a pan that hits either end stops there instead of shrinking.
+ *
+ * @param {{startS: number, endS: number}} view
+ * @param {{startS: number, endS: number}} full
+ * @param {number} [minSpanS]
+ * @returns {{startS: number, endS: number}|null} Null when the view covers the whole range, i.e. it is not zoomed.
+ */
+export function clampView(view, full, minSpanS = MIN_VIEW_SPAN_S) {
+  const fullSpanS = full.endS - full.startS;
+  const spanS = clamp(Math.abs(view.endS - view.startS), Math.min(minSpanS, fullSpanS), fullSpanS);
+
+  if (!(spanS < fullSpanS)) {
+    return null;
+  }
+
+  const startS = clamp(Math.min(view.startS, view.endS), full.startS, full.endS - spanS);
+  return { startS, endS: startS + spanS };
+}
+
+/**
+ * Zooms a visible time range about an anchor time, which stays at the same
+ * place on screen. Factors above 1 zoom in.
+ *
+ * @param {{startS: number, endS: number}} view
+ * @param {number} anchorS
+ * @param {number} factor
+ * @param {{startS: number, endS: number}} full
+ * @param {number} [minSpanS]
+ * @returns {{startS: number, endS: number}|null} Null when zoomed all the way out.
+ */
+export function zoomView(view, anchorS, factor, full, minSpanS = MIN_VIEW_SPAN_S) {
+  const spanS = view.endS - view.startS;
+  const fullSpanS = full.endS - full.startS;
+  const nextSpanS = clamp(spanS / factor, Math.min(minSpanS, fullSpanS), fullSpanS);
+  const startS = anchorS - ((anchorS - view.startS) * nextSpanS) / (spanS || 1);
+
+  return clampView({ startS, endS: startS + nextSpanS }, full, minSpanS);
+}
+
 /**
  * @typedef {Object} TimeSeriesGraphOptions
  * @property {HTMLCanvasElement} canvas
  * @property {string} title
  * @property {string} yLabel
  * @property {(selection: {startS: number, endS: number}|null) => void} onSelectionChange
+ * @property {(zoomed: boolean) => void} [onViewChange] Called when the graph zooms, pans or resets.
  */
 
 export class TimeSeriesGraph {
@@ -96,13 +149,22 @@ export class TimeSeriesGraph {
     this.title = options.title;
     this.yLabel = options.yLabel;
     this.onSelectionChange = options.onSelectionChange;
+    this.onViewChange = options.onViewChange ?? (() => {});
 
     this.times = [];
     this.values = [];
+    this.overlay = null;
+    this.durationS = null;
     this.motionWindow = null;
     this.selection = null;
+    this.suggestion = null;
+    this.view = null;
     this.dragMode = null;
     this.draggingPointerId = null;
+    this.selectionBeforeDrag = null;
+    this.panStart = null;
+    this.activePointers = new Map();
+    this.pinch = null;
 
     this.bounds = {
       xMin: 0,
@@ -118,23 +180,30 @@ export class TimeSeriesGraph {
     this.canvas.tabIndex = 0;
     this.canvas.setAttribute(
       "aria-label",
-      `${this.title}. Drag to select a time window. Use Shift + Arrow keys for the start handle and Arrow keys for the end handle.`
+      `${this.title}. Drag to select a time window. Use Shift + Arrow keys for the start handle and Arrow keys for the end handle. Plus and minus zoom the time axis, 0 resets it; Shift + drag pans.`
     );
+    // Vertical swipes still scroll the page; horizontal drags and pinches reach the graph.
+    this.canvas.style.touchAction = "pan-y";
 
     this.canvas.addEventListener("pointerdown", this.handlePointerDown.bind(this));
     this.canvas.addEventListener("pointermove", this.handlePointerMove.bind(this));
     this.canvas.addEventListener("pointerup", this.handlePointerUp.bind(this));
     this.canvas.addEventListener("pointercancel", this.handlePointerUp.bind(this));
     this.canvas.addEventListener("keydown", this.handleKeyDown.bind(this));
+    this.canvas.addEventListener("wheel", this.handleWheel.bind(this), { passive: false });
     window.addEventListener("resize", () => this.render());
   }
 
   /**
-   * @param {{timesS: number[], values: number[], motionWindow: {startS: number, endS: number}|null, selection: {startS: number, endS: number}|null}} payload
+   * @param {{timesS: number[], values: number[], overlay?: {values: number[], label: string}|null, durationS?: number, motionWindow: {startS: number, endS: number}|null, selection: {startS: number, endS: number}|null}} payload
+   *   `overlay` is a second trace on the same time samples, such as a smoothed or derived copy.
+   *   `durationS` pins the time axis to the whole trial, so it does not rescale while samples stream in.
    */
   setData(payload) {
     this.times = payload.timesS;
     this.values = payload.values;
+    this.overlay = payload.overlay ?? null;
+    this.durationS = payload.durationS ?? null;
     this.motionWindow = payload.motionWindow;
     this.selection = normalizeSelection(payload.selection);
     this.render();
@@ -146,6 +215,28 @@ export class TimeSeriesGraph {
     this.render();
   }
 
+  /**
+   * Previews a suggested window as a dashed outline without selecting it.
+   *
+   * @param {{startS: number, endS: number}|null} suggestion
+   */
+  setSuggestion(suggestion) {
+    this.suggestion = normalizeSelection(suggestion);
+    this.render();
+  }
+
+  /** Turns the previewed suggestion into the selection. */
+  applySuggestion() {
+    if (!this.suggestion) {
+      return;
+    }
+
+    this.selection = { ...this.suggestion };
+    this.suggestion = null;
+    this.onSelectionChange(this.selection);
+    this.render();
+  }
+
   /**
    * @param {"start" | "end"} boundary
    * @param {number} deltaS
@@ -189,6 +280,49 @@ export class TimeSeriesGraph {
     return this.canvas;
   }
 
+  /**
+   * The whole time axis, before any zoom.
+   *
+   * @returns {{startS: number, endS: number}}
+   */
+  fullRange() {
+    return {
+      startS: this.times.length ? this.times[0] : 0,
+      endS: this.durationS ?? (this.times.length ? this.times[this.times.length - 1] : 4.5)
+    };
+  }
+
+  /**
+   * Shows part of the time axis. The view is kept inside the trial and is
+   * cleared when it would show all of it.
+   *
+   * @param {{startS: number, endS: number}|null} view
+   */
+  setView(view) {
+    this.view = view ? clampView(view, this.fullRange()) : null;
+    this.onViewChange(this.view !== null);
+    this.render();
+  }
+
+  resetZoom() {
+    this.setView(null);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isZoomed() {
+    return this.view !== null;
+  }
+
+  /**
+   * @param {number} anchorS Time that stays put on screen.
+   * @param {number} factor Above 1 zooms in.
+   */
+  zoomAt(anchorS, factor) {
+    this.setView(zoomView({ startS: this.bounds.xMin, endS: this.bounds.xMax }, anchorS, factor, this.fullRange()));
+  }
+
   render() {
     resizeCanvas(this.canvas);
 
@@ -206,9 +340,13 @@ export class TimeSeriesGraph {
     const plotTop = MARGIN.top * (window.devicePixelRatio || 1);
     const plotBottom = height - MARGIN.bottom * (window.devicePixelRatio || 1);
 
-    const xMin = this.times.length ? this.times[0] : 0;
-    const xMax = this.times.length ? this.times[this.times.length - 1] : 4.5;
-    const yRange = getRange(this.values);
+    // Data can shrink under a view (a new, shorter trial), so clamp it again here.
+    const full = this.fullRange();
+    const view = this.view ? clampView(this.view, full) : null;
+    const xMin = view ? view.startS : full.startS;
+    const xMax = view ? view.endS : full.endS;
+    // The value axis spans the whole trace, so it holds still while panning.
+    const yRange = getRange(this.overlay ? [...this.values, ...this.overlay.values.filter(Number.isFinite)] : this.values);
 
     this.bounds = {
       xMin,
@@ -224,15 +362,45 @@ export class TimeSeriesGraph {
     this.drawGrid();
 
     if (this.motionWindow) {
+      this.ctx.save();
+      this.clipToPlot();
       this.drawMotionWindow();
+      this.ctx.restore();
     }
 
     this.drawAxes();
+
+    // Zoomed in, traces and windows run past the plot edges.
+    this.ctx.save();
+    this.clipToPlot();
     this.drawSignal();
 
+    if (this.overlay) {
+      this.drawOverlay();
+    }
+
+    if (this.suggestion) {
+      this.drawSuggestion();
+    }
+
     if (this.selection) {
       this.drawSelection();
     }
+    this.ctx.restore();
+  }
+
+  clipToPlot() {
+    // Leave room for half a selection handle sitting on either edge.
+    const slack = 3 * (window.devicePixelRatio || 1);
+
+    this.ctx.beginPath();
+    this.ctx.rect(
+      this.bounds.plotLeft - slack,
+      0,
+      this.bounds.plotRight - this.bounds.plotLeft + 2 * slack,
+      this.bounds.plotBottom
+    );
+    this.ctx.clip();
   }
 
   drawGrid() {
@@ -278,10 +446,12 @@ export class TimeSeriesGraph {
     ctx.fillStyle = "#1b4f62";
     ctx.font = `${11 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
 
+    // Zoomed in past 0.1 s per tick, one decimal would repeat labels.
+    const tickDecimals = (this.bounds.xMax - this.bounds.xMin) / 5 < 0.1 ? 2 : 1;
     for (let index = 0; index <= 5; index += 1) {
       const t = this.bounds.xMin + (index / 5) * (this.bounds.xMax - this.bounds.xMin);
       const x = this.xToPx(t);
-      ctx.fillText(t.toFixed(1), x - 8 * ratio, this.bounds.plotBottom + 16 * ratio);
+      ctx.fillText(t.toFixed(tickDecimals), x - 8 * ratio, this.bounds.plotBottom + 16 * ratio);
     }
 
     for (let index = 0; index <= 4; index += 1) {
@@ -327,6 +497,42 @@ export class TimeSeriesGraph {
     ctx.restore();
   }
 
+  drawOverlay() {
+    const ctx = this.ctx;
+    const ratio = window.devicePixelRatio || 1;
+
+    ctx.save();
+    ctx.strokeStyle = "#2f8f46";
+    ctx.lineWidth = 1.5 * ratio;
+    ctx.beginPath();
+
+    let drawing = false;
+    for (let index = 0; index < this.overlay.values.length; index += 1) {
+      const value = this.overlay.values[index];
+      if (!Number.isFinite(value)) {
+        drawing = false;
+        continue;
+      }
+
+      const x = this.xToPx(this.times[index]);
+      const y = this.yToPx(value);
+      if (drawing) {
+        ctx.lineTo(x, y);
+      } else {
+        ctx.moveTo(x, y);
+        drawing = true;
+      }
+    }
+
+    ctx.stroke();
+
+    ctx.fillStyle = "#2f8f46";
+    ctx.font = `${10 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
+    const label = `— ${this.overlay.label}`;
+    ctx.fillText(label, this.bounds.plotRight - ctx.measureText(label).width - 4 * ratio, this.bounds.plotTop + 12 * ratio);
+    ctx.restore();
+  }
+
   drawMotionWindow() {
     if (!this.motionWindow) {
       return;
@@ -352,6 +558,32 @@ export class TimeSeriesGraph {
     ctx.restore();
   }
 
+  drawSuggestion() {
+    const ctx = this.ctx;
+    const ratio = window.devicePixelRatio || 1;
+    const x1 = this.xToPx(this.suggestion.startS);
+    const x2 = this.xToPx(this.suggestion.endS);
+
+    ctx.save();
+    ctx.fillStyle = "rgba(122, 76, 194, 0.08)";
+    ctx.fillRect(x1, this.bounds.plotTop, x2 - x1, this.bounds.plotBottom - this.bounds.plotTop);
+
+    ctx.strokeStyle = "#7a4cc2";
+    ctx.lineWidth = 1.5 * ratio;
+    ctx.setLineDash([6 * ratio, 4 * ratio]);
+    ctx.strokeRect(x1, this.bounds.plotTop, x2 - x1, this.bounds.plotBottom - this.bounds.plotTop);
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = "#5b3596";
+    ctx.font = `${10 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
+    ctx.fillText(
+      `Suggested ${this.suggestion.startS.toFixed(2)}-${this.suggestion.endS.toFixed(2)}s`,
+      x1 + 4 * ratio,
+      this.bounds.plotTop + 26 * ratio
+    );
+    ctx.restore();
+  }
+
   drawSelection() {
     const ctx = this.ctx;
     const ratio = window.devicePixelRatio || 1;
@@ -438,6 +670,15 @@ export class TimeSeriesGraph {
     return this.bounds.xMin + ratio * (this.bounds.xMax - this.bounds.xMin);
   }
 
+  /**
+   * @param {PointerEvent | WheelEvent} event
+   * @returns {number} Canvas x in device pixels.
+   */
+  eventXPx(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return (event.clientX - rect.left) * (window.devicePixelRatio || 1);
+  }
+
   /**
    * @param {PointerEvent} event
    */
@@ -446,12 +687,31 @@ export class TimeSeriesGraph {
       return;
     }
 
-    const rect = this.canvas.getBoundingClientRect();
-    const ratio = window.devicePixelRatio || 1;
-    const xPx = (event.clientX - rect.left) * ratio;
-    const timeS = clamp(this.pxToX(xPx), this.bounds.xMin, this.bounds.xMax);
+    const xPx = this.eventXPx(event);
+    this.activePointers.set(event.pointerId, xPx);
+    this.canvas.setPointerCapture(event.pointerId);
+
+    if (this.activePointers.size === 2) {
+      this.startPinch();
+      return;
+    }
+
+    if (this.activePointers.size > 2 || this.pinch) {
+      return;
+    }
 
+    this.draggingPointerId = event.pointerId;
+
+    // Shift + drag pans, so it cannot be mistaken for selecting a window.
+    if (event.shiftKey) {
+      this.dragMode = "pan";
+      this.panStart = { xPx, startS: this.bounds.xMin, endS: this.bounds.xMax };
+      return;
+    }
+
+    const timeS = clamp(this.pxToX(xPx), this.bounds.xMin, this.bounds.xMax);
     const handle = this.detectHandle(xPx);
+    this.selectionBeforeDrag = this.selection ? { ...this.selection } : null;
 
     if (handle) {
       this.dragMode = handle;
@@ -464,8 +724,29 @@ export class TimeSeriesGraph {
       this.onSelectionChange(this.selection);
     }
 
-    this.draggingPointerId = event.pointerId;
-    this.canvas.setPointerCapture(event.pointerId);
+    this.render();
+  }
+
+  /**
+   * A second finger turns a selection drag into a pinch, so whatever the
+   * first finger did to the selection is undone.
+   */
+  startPinch() {
+    if (this.dragMode && this.dragMode !== "pan") {
+      this.selection = this.selectionBeforeDrag;
+      this.onSelectionChange(this.selection);
+    }
+
+    this.dragMode = null;
+    this.draggingPointerId = null;
+    this.panStart = null;
+
+    const [first, second] = [...this.activePointers.values()];
+    this.pinch = {
+      distancePx: Math.abs(second - first),
+      anchorS: this.pxToX((first + second) / 2),
+      spanS: this.bounds.xMax - this.bounds.xMin
+    };
     this.render();
   }
 
@@ -473,13 +754,29 @@ export class TimeSeriesGraph {
    * @param {PointerEvent} event
    */
   handlePointerMove(event) {
-    if (this.draggingPointerId !== event.pointerId || !this.times.length) {
+    if (!this.activePointers.has(event.pointerId) || !this.times.length) {
+      return;
+    }
+
+    const xPx = this.eventXPx(event);
+    this.activePointers.set(event.pointerId, xPx);
+
+    if (this.pinch) {
+      this.movePinch();
+      return;
+    }
+
+    if (this.draggingPointerId !== event.pointerId) {
+      return;
+    }
+
+    if (this.dragMode === "pan") {
+      const width = this.bounds.plotRight - this.bounds.plotLeft || 1;
+      const deltaS = -((xPx - this.panStart.xPx) / width) * (this.panStart.endS - this.panStart.startS);
+      this.setView({ startS: this.panStart.startS + deltaS, endS: this.panStart.endS + deltaS });
       return;
     }
 
-    const rect = this.canvas.getBoundingClientRect();
-    const ratio = window.devicePixelRatio || 1;
-    const xPx = (event.clientX - rect.left) * ratio;
     const timeS = clamp(this.pxToX(xPx), this.bounds.xMin, this.bounds.xMax);
 
     if (!this.selection) {
@@ -502,17 +799,73 @@ export class TimeSeriesGraph {
     this.render();
   }
 
+  movePinch() {
+    if (this.activePointers.size < 2) {
+      return;
+    }
+
+    const ratio = window.devicePixelRatio || 1;
+    const [first, second] = [...this.activePointers.values()];
+    // Fingers one above the other have no horizontal spread to scale by.
+    const minSpreadPx = 24 * ratio;
+    const spanS = this.pinch.spanS
+      * Math.max(this.pinch.distancePx, minSpreadPx)
+      / Math.max(Math.abs(second - first), minSpreadPx);
+
+    // Keep the time that was under the fingers under their midpoint.
+    const width = this.bounds.plotRight - this.bounds.plotLeft || 1;
+    const fraction = ((first + second) / 2 - this.bounds.plotLeft) / width;
+    const startS = this.pinch.anchorS - fraction * spanS;
+
+    this.setView({ startS, endS: startS + spanS });
+  }
+
   /**
    * @param {PointerEvent} event
    */
   handlePointerUp(event) {
+    if (!this.activePointers.delete(event.pointerId)) {
+      return;
+    }
+
+    if (this.canvas.hasPointerCapture(event.pointerId)) {
+      this.canvas.releasePointerCapture(event.pointerId);
+    }
+
+    if (this.pinch) {
+      // The pinch lasts until the last finger lifts, so one left down does not start a selection.
+      if (!this.activePointers.size) {
+        this.pinch = null;
+      }
+      return;
+    }
+
     if (this.draggingPointerId !== event.pointerId) {
       return;
     }
 
     this.draggingPointerId = null;
     this.dragMode = null;
-    this.canvas.releasePointerCapture(event.pointerId);
+    this.panStart = null;
+    this.selectionBeforeDrag = null;
+  }
+
+  /**
+   * Ctrl or Cmd + wheel zooms about the pointer; trackpads report a pinch the
+   * same way. A plain wheel is left to scroll the page.
+   *
+   * @param {WheelEvent} event
+   */
+  handleWheel(event) {
+    if (!this.times.length || !(event.ctrlKey || event.metaKey)) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const deltaPx = event.deltaMode === WheelEvent.DOM_DELTA_LINE ? event.deltaY * 16 : event.deltaY;
+    const anchorS = clamp(this.pxToX(this.eventXPx(event)), this.bounds.xMin, this.bounds.xMax);
+    this.zoomAt(anchorS, Math.exp(-deltaPx * WHEEL_ZOOM_PER_PX));
   }
 
   /**
@@ -547,6 +900,19 @@ export class TimeSeriesGraph {
    * @param {KeyboardEvent} event
    */
   handleKeyDown(event) {
+    if (event.key === "+" || event.key === "=" || event.key === "-") {
+      event.preventDefault();
+      const anchor = this.selection ?? { startS: this.bounds.xMin, endS: this.bounds.xMax };
+      this.zoomAt((anchor.startS + anchor.endS) / 2, event.key === "-" ? 1 / 1.5 : 1.5);
+      return;
+    }
+
+    if (event.key === "0") {
+      event.preventDefault();
+      this.resetZoom();
+      return;
+    }
+
     if (event.key !== "ArrowLeft" && event.key !== "ArrowRight") {
       return;
     }
@@ -562,7 +928,9 @@ export class TimeSeriesGraph {
 }
 
 /**
- * @typedef {{x: number, y: number}} ScatterPoint
+ * `xError` and `yError` are drawn as ±1 standard-error bars when present.
+ *
+ * @typedef {{x: number, y: number, xError?: number|null, yError?: number|null}} ScatterPoint
  */
 
 export class ScatterFitGraph {
@@ -575,16 +943,23 @@ export class ScatterFitGraph {
     this.title = options.title;
     this.points = [];
     this.fit = null;
+    this.candidates = [];
+    this.xLabel = "Acceleration (m/s^2)";
+    this.yLabel = "Force of Tension, Fₜ (N)";
 
     window.addEventListener("resize", () => this.render());
   }
 
   /**
-   * @param {{points: ScatterPoint[], fit: import("./regression.js").FitResult|null}} data
+   * @param {{points: ScatterPoint[], fit: import("./regression.js").FitResult|null, candidates?: {label: string, coefficients: number[]}[], xLabel?: string, yLabel?: string}} data
+   *   `candidates` are alternative models (polynomial coefficients, constant first) drawn dashed for comparison.
    */
   setData(data) {
     this.points = data.points;
     this.fit = data.fit;
+    this.candidates = data.candidates ?? [];
+    this.xLabel = data.xLabel ?? "Acceleration (m/s^2)";
+    this.yLabel = data.yLabel ?? "Force of Tension, Fₜ (N)";
     this.render();
   }
 
@@ -655,8 +1030,8 @@ export class ScatterFitGraph {
 
     ctx.fillStyle = "#1b4f62";
     ctx.font = `${11 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
-    ctx.fillText("Acceleration (m/s^2)", plotRight - 124 * ratio, plotBottom + 30 * ratio);
-    ctx.fillText("Force of Tension, Fₜ (N)", plotLeft + 4 * ratio, plotTop - 10 * ratio);
+    ctx.fillText(this.xLabel, plotRight - ctx.measureText(this.xLabel).width - 4 * ratio, plotBottom + 30 * ratio);
+    ctx.fillText(this.yLabel, plotLeft + 4 * ratio, plotTop - 10 * ratio);
 
     if (!this.points.length) {
       ctx.fillStyle = "#536f7a";
@@ -665,6 +1040,23 @@ export class ScatterFitGraph {
       return;
     }
 
+    ctx.strokeStyle = "#7fb8c8";
+    ctx.lineWidth = 1 * ratio;
+    for (const point of this.points) {
+      const cx = xToPx(point.x);
+      const cy = yToPx(point.y);
+      ctx.beginPath();
+      if (point.xError) {
+        ctx.moveTo(xToPx(point.x - point.xError), cy);
+        ctx.lineTo(xToPx(point.x + point.xError), cy);
+      }
+      if (point.yError) {
+        ctx.moveTo(cx, yToPx(point.y - point.yError));
+        ctx.lineTo(cx, yToPx(point.y + point.yError));
+      }
+      ctx.stroke();
+    }
+
     ctx.fillStyle = "#0e8ba8";
     for (const point of this.points) {
       ctx.beginPath();
@@ -672,6 +1064,29 @@ export class ScatterFitGraph {
       ctx.fill();
     }
 
+    ctx.lineWidth = 1.5 * ratio;
+    ctx.setLineDash([6 * ratio, 4 * ratio]);
+    this.candidates.forEach((candidate, index) => {
+      const color = CANDIDATE_COLORS[index % CANDIDATE_COLORS.length];
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      for (let step = 0; step <= 40; step += 1) {
+        const x = xRange.min + (step / 40) * (xRange.max - xRange.min);
+        const y = evaluatePolynomial(candidate.coefficients, x);
+        if (step === 0) {
+          ctx.moveTo(xToPx(x), yToPx(y));
+        } else {
+          ctx.lineTo(xToPx(x), yToPx(y));
+        }
+      }
+      ctx.stroke();
+
+      ctx.fillStyle = color;
+      const label = `- - ${candidate.label}`;
+      ctx.fillText(label, plotRight - ctx.measureText(label).width - 4 * ratio, plotTop + (14 + 14 * index) * ratio);
+    });
+    ctx.setLineDash([]);
+
     if (!this.fit) {
       return;
     }
@@ -689,3 +1104,144 @@ export class ScatterFitGraph {
     ctx.stroke();
   }
 }
+
+/**
+ * `flagged` points are drawn in red and labelled so they can be matched to
+ * the trials table.
+ *
+ * @typedef {{x: number, y: number, label: string, flagged: boolean}} ResidualPoint
+ */
+
+export class ResidualGraph {
+  /**
+   * @param {{canvas: HTMLCanvasElement, title: string}} options
+   */
+  constructor(options) {
+    this.canvas = options.canvas;
+    this.ctx = this.canvas.getContext("2d");
+    this.title = options.title;
+    this.points = [];
+    this.limit = 0;
+    this.xLabel = "Acceleration (m/s^2)";
+    this.yLabel = "Studentized residual";
+
+    window.addEventListener("resize", () => this.render());
+  }
+
+  /**
+   * @param {{points: ResidualPoint[], limit: number, xLabel?: string, yLabel?: string}} data
+   *   `limit` draws dashed guide lines at ±limit.
+   */
+  setData(data) {
+    this.points = data.points;
+    this.limit = data.limit;
+    this.xLabel = data.xLabel ?? "Acceleration (m/s^2)";
+    this.yLabel = data.yLabel ?? "Studentized residual";
+    this.render();
+  }
+
+  getCanvas() {
+    return this.canvas;
+  }
+
+  render() {
+    resizeCanvas(this.canvas);
+
+    const ctx = this.ctx;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const ratio = window.devicePixelRatio || 1;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "#f9fcfe";
+    ctx.fillRect(0, 0, width, height);
+
+    const plotLeft = MARGIN.left * ratio;
+    const plotRight = width - MARGIN.right * ratio;
+    const plotTop = MARGIN.top * ratio;
+    const plotBottom = height - MARGIN.bottom * ratio;
+
+    const xRange = this.points.length ? getRange(this.points.map((point) => point.x)) : { min: 0, max: 10 };
+    // Symmetric about zero and always wide enough to show the guide lines; a
+    // point with no scatter left to compare against is pinned to the edge.
+    const finite = this.points.map((point) => Math.abs(point.y)).filter(Number.isFinite);
+    const extent = Math.max(this.limit, ...finite, 1) * 1.15;
+    const yRange = { min: -extent, max: extent };
+
+    const xToPx = (x) => {
+      const span = xRange.max - xRange.min || 1;
+      return plotLeft + ((x - xRange.min) / span) * (plotRight - plotLeft);
+    };
+
+    const yToPx = (y) => plotBottom - ((clamp(y, yRange.min, yRange.max) - yRange.min) / (yRange.max - yRange.min)) * (plotBottom - plotTop);
+
+    ctx.strokeStyle = "#d5e4ea";
+    ctx.lineWidth = 1 * ratio;
+    for (let index = 0; index <= 5; index += 1) {
+      const x = plotLeft + (index / 5) * (plotRight - plotLeft);
+      ctx.beginPath();
+      ctx.moveTo(x, plotTop);
+      ctx.lineTo(x, plotBottom);
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = "#0c3644";
+    ctx.lineWidth = 1.5 * ratio;
+    ctx.beginPath();
+    ctx.moveTo(plotLeft, plotTop);
+    ctx.lineTo(plotLeft, plotBottom);
+    ctx.lineTo(plotRight, plotBottom);
+    ctx.stroke();
+
+    ctx.strokeStyle = "#cd5b00";
+    ctx.lineWidth = 1.5 * ratio;
+    ctx.beginPath();
+    ctx.moveTo(plotLeft, yToPx(0));
+    ctx.lineTo(plotRight, yToPx(0));
+    ctx.stroke();
+
+    ctx.fillStyle = "#1b4f62";
+    ctx.font = `${11 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
+    ctx.fillText(this.xLabel, plotRight - ctx.measureText(this.xLabel).width - 4 * ratio, plotBottom + 30 * ratio);
+    ctx.fillText(this.yLabel, plotLeft + 4 * ratio, plotTop - 10 * ratio);
+    ctx.fillText("0", plotLeft - 16 * ratio, yToPx(0) + 4 * ratio);
+
+    if (this.limit > 0) {
+      ctx.strokeStyle = "#c0392b";
+      ctx.lineWidth = 1 * ratio;
+      ctx.setLineDash([6 * ratio, 4 * ratio]);
+      for (const level of [this.limit, -this.limit]) {
+        ctx.beginPath();
+        ctx.moveTo(plotLeft, yToPx(level));
+        ctx.lineTo(plotRight, yToPx(level));
+        ctx.stroke();
+
+        const label = `${level > 0 ? "+" : "−"}${this.limit}`;
+        ctx.fillText(label, plotLeft - ctx.measureText(label).width - 6 * ratio, yToPx(level) + 4 * ratio);
+      }
+      ctx.setLineDash([]);
+    }
+
+    if (!this.points.length) {
+      ctx.fillStyle = "#536f7a";
+      ctx.font = `${12 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
+      ctx.fillText("Residuals appear once there are 4 trials on the fit graph.", plotLeft + 10 * ratio, plotTop + 20 * ratio);
+      return;
+    }
+
+    for (const point of this.points) {
+      const cx = xToPx(point.x);
+      const cy = yToPx(point.y);
+
+      ctx.fillStyle = point.flagged ? "#c0392b" : "#0e8ba8";
+      ctx.beginPath();
+      ctx.arc(cx, cy, (point.flagged ? 5 : 4) * ratio, 0, Math.PI * 2);
+      ctx.fill();
+
+      if (point.flagged) {
+        ctx.font = `${11 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
+        ctx.fillText(point.label, cx + 8 * ratio, cy + (point.y < 0 ? 12 : -6) * ratio);
+      }
+    }
+  }
+}
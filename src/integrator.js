@@ -0,0 +1,163 @@
+/**
+ * @typedef {import("./physics.js").TrialPhysics} TrialPhysics
+ */
+
+/**
+ * @typedef {Object} IntegratedMotion
+ * @property {number} stepS
+ * @property {number[]} timesS Time since release.
+ * @property {number[]} positionM
+ * @property {number[]} velocityMps
+ * @property {number[]} accelerationMps2
+ * @property {number[]} tensionN Cart-side tension, including the speed-dependent drag it has to overcome.
+ */
+
+export const DEFAULT_STEP_S = 0.001;
+
+/**
+ * Classic fourth-order Runge-Kutta step for a first-order system.
+ *
+ * @param {(t: number, state: number[]) => number[]} derivative
+ * @param {number} t
+ * @param {number[]} state
+ * @param {number} dt
+ * @returns {number[]}
+ */
+export function rk4Step(derivative, t, state, dt) {
+  const k1 = derivative(t, state);
+  const k2 = derivative(t + dt / 2, state.map((value, index) => value + (dt / 2) * k1[index]));
+  const k3 = derivative(t + dt / 2, state.map((value, index) => value + (dt / 2) * k2[index]));
+  const k4 = derivative(t + dt, state.map((value, index) => value + dt * k3[index]));
+
+  return state.map((value, index) => value + (dt / 6) * (k1[index] + 2 * k2[index] + 2 * k3[index] + k4[index]));
+}
+
+/**
+ * @param {TrialPhysics} physics
+ * @param {number} velocityMps
+ * @returns {number}
+ */
+function speedDragN(physics, velocityMps) {
+  const { linearDragNsPerM, quadraticDragNs2PerM2 } = physics.config;
+  return linearDragNsPerM * velocityMps + quadraticDragNs2PerM2 * velocityMps * Math.abs(velocityMps);
+}
+
+/**
+ * @param {TrialPhysics} physics
+ * @param {number} velocityMps
+ * @returns {number}
+ */
+export function stringAccelerationMps2(physics, velocityMps) {
+  if (!physics.moved) {
+    return 0;
+  }
+
+  return (physics.netForceN - speedDragN(physics, velocityMps)) / physics.totalAcceleratedMassKg;
+}
+
+/**
+ * @param {TrialPhysics} physics
+ * @param {number} velocityMps
+ * @param {number} accelerationMps2
+ * @returns {number}
+ */
+export function cartTensionN(physics, velocityMps, accelerationMps2) {
+  const { config } = physics;
+  return config.systemMassKg * accelerationMps2
+    + config.dragN
+    + config.gravityAlongTrackN
+    + config.counterWeightN
+    + speedDragN(physics, velocityMps);
+}
+
+/**
+ * Steps the string system forward from rest with RK4.
+ *
+ * @param {TrialPhysics} physics
+ * @param {{durationS: number, stepS?: number}} options
+ * @returns {IntegratedMotion}
+ */
+export function integrateMotion(physics, options) {
+  const stepS = options.stepS ?? DEFAULT_STEP_S;
+  const steps = Math.ceil(options.durationS / stepS);
+  const derivative = (_t, [, velocity]) => [velocity, stringAccelerationMps2(physics, velocity)];
+
+  const motion = {
+    stepS,
+    timesS: [],
+    positionM: [],
+    velocityMps: [],
+    accelerationMps2: [],
+    tensionN: []
+  };
+
+  let state = [0, 0];
+
+  for (let index = 0; index <= steps; index += 1) {
+    const t = index * stepS;
+    const [position, velocity] = state;
+    const acceleration = stringAccelerationMps2(physics, velocity);
+
+    motion.timesS.push(t);
+    motion.positionM.push(position);
+    motion.velocityMps.push(velocity);
+    motion.accelerationMps2.push(acceleration);
+    motion.tensionN.push(cartTensionN(physics, velocity, acceleration));
+
+    state = rk4Step(derivative, t, state, stepS);
+  }
+
+  return motion;
+}
+
+/**
+ * Linear interpolation into an integrated channel.
+ *
+ * @param {IntegratedMotion} motion
+ * @param {"positionM" | "velocityMps" | "accelerationMps2" | "tensionN"} channel
+ * @param {number} timeS
+ * @returns {number}
+ */
+export function motionValueAt(motion, channel, timeS) {
+  const values = motion[channel];
+  const position = Math.min(Math.max(timeS / motion.stepS, 0), values.length - 1);
+  const index = Math.floor(position);
+
+  if (index >= values.length - 1) {
+    return values[values.length - 1];
+  }
+
+  const ratio = position - index;
+  return values[index] + ratio * (values[index + 1] - values[index]);
+}
+
+/**
+ * @param {TrialPhysics} physics
+ * @param {number} distanceM
+ * @param {{stepS?: number, maxTimeS?: number}} [options]
+ * @returns {number|null} Time since release to cover the distance, or null if it never gets there.
+ */
+export function timeToTravelM(physics, distanceM, options = {}) {
+  if (!physics.moved) {
+    return null;
+  }
+
+  const stepS = options.stepS ?? DEFAULT_STEP_S;
+  const maxTimeS = options.maxTimeS ?? 30;
+  const derivative = (_t, [, velocity]) => [velocity, stringAccelerationMps2(physics, velocity)];
+
+  let state = [0, 0];
+
+  for (let t = 0; t < maxTimeS; t += stepS) {
+    const next = rk4Step(derivative, t, state, stepS);
+
+    if (next[0] >= distanceM) {
+      const ratio = (distanceM - state[0]) / (next[0] - state[0] || 1);
+      return t + ratio * stepS;
+    }
+
+    state = next;
+  }
+
+  return null;
+}
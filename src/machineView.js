@@ -1,3 +1,6 @@
+import { ATWOOD_DROP_M, TRACK_LENGTH_M } from "./physics.js";
+import { trajectoryStateAt } from "./trajectory.js";
+
 /**
  * @typedef {import("./state.js").CurrentTrial} CurrentTrial
  */
@@ -46,43 +49,6 @@ function interpolate(xs, ys, x) {
   return y1 + ratio * (y2 - y1);
 }
 
-/**
- * @param {CurrentTrial} trial
- * @param {number} timeS
- * @returns {number}
- */
-function cartDisplacementM(trial, timeS) {
-  const { phases } = trial.signals;
-  const a = trial.physics.accelerationMps2;
-
-  if (!trial.physics.moved) {
-    return 0;
-  }
-
-  if (timeS <= phases.accelStartS) {
-    return 0;
-  }
-
-  if (timeS <= phases.accelEndS) {
-    const dt = timeS - phases.accelStartS;
-    return 0.5 * a * dt * dt;
-  }
-
-  const accelDt = phases.accelEndS - phases.accelStartS;
-  const accelDistance = 0.5 * a * accelDt * accelDt;
-  const peakVelocity = a * accelDt;
-
-  if (timeS <= phases.stopEndS) {
-    const stopDt = timeS - phases.accelEndS;
-    const stopDuration = phases.stopEndS - phases.accelEndS || 0.001;
-    const decel = peakVelocity / stopDuration;
-    return accelDistance + peakVelocity * stopDt - 0.5 * decel * stopDt * stopDt;
-  }
-
-  const stopDuration = phases.stopEndS - phases.accelEndS || 0.001;
-  return accelDistance + 0.5 * peakVelocity * stopDuration;
-}
-
 export class HalfAtwoodView {
   /**
    * @param {{
@@ -152,8 +118,8 @@ export class HalfAtwoodView {
       return;
     }
 
-    const maxTime = trial.signals.timesS[trial.signals.timesS.length - 1] ?? 4.5;
-    this.timeSlider.max = String(maxTime);
+    this.timeSlider.max = String(trial.signals.durationS);
+    this.timeSlider.step = String(Math.min(0.01, 1 / trial.signals.sampleRateHz));
     this.currentTimeS = 0;
     this.timeSlider.value = "0";
     this.render();
@@ -288,6 +254,11 @@ export class HalfAtwoodView {
       return;
     }
 
+    if (this.trial.physics.config.scenario === "full_atwood") {
+      this.renderFullAtwood();
+      return;
+    }
+
     this.resizeCanvas();
 
     const ratio = window.devicePixelRatio || 1;
@@ -306,17 +277,26 @@ export class HalfAtwoodView {
     const pulleyY = trackY + 12 * ratio;
     const cartBaseX = trackLeft + 20 * ratio;
 
-    const displacement = cartDisplacementM(this.trial, this.currentTimeS);
-    const normalizedMove = clamp(displacement / 1.2, 0, 1);
+    const displacement = trajectoryStateAt(this.trial.signals.trajectory, this.currentTimeS).positionM;
+    const normalizedMove = clamp(displacement / TRACK_LENGTH_M, 0, 1);
     const cartX = cartBaseX + normalizedMove * (trackRight - cartBaseX - 80 * ratio);
 
-    const massTopY = pulleyY + 26 * ratio + normalizedMove * 80 * ratio;
+    // Once the hanging mass lands it stays on the floor while the cart coasts.
+    const { dropHeightM } = this.trial.physics;
+    const hangingDrop = dropHeightM === null ? displacement : Math.min(displacement, dropHeightM);
+    const hangingPxPerM = (80 * ratio) / TRACK_LENGTH_M;
+    const massTopY = pulleyY + 26 * ratio + clamp(hangingDrop / TRACK_LENGTH_M, 0, 1) * 80 * ratio;
 
     ctx.strokeStyle = "#2d5865";
     ctx.lineWidth = 3 * ratio;
     ctx.beginPath();
     ctx.moveTo(trackLeft, trackY + 28 * ratio);
     ctx.lineTo(trackRight, trackY + 28 * ratio);
+    if (dropHeightM !== null) {
+      const floorY = pulleyY + 26 * ratio + 36 * ratio + dropHeightM * hangingPxPerM;
+      ctx.moveTo(pulleyX - 34 * ratio, floorY);
+      ctx.lineTo(pulleyX + 34 * ratio, floorY);
+    }
     ctx.stroke();
 
     const pulleyRadius = 16 * ratio;
@@ -354,15 +334,102 @@ export class HalfAtwoodView {
     ctx.fillRect(pulleyX - 16 * ratio, massTopY, 32 * ratio, 36 * ratio);
     ctx.strokeRect(pulleyX - 16 * ratio, massTopY, 32 * ratio, 36 * ratio);
 
-    const liveForce = interpolate(this.trial.signals.timesS, this.trial.signals.forceN, this.currentTimeS);
-    const liveVelocity = interpolate(this.trial.signals.timesS, this.trial.signals.velocityMps, this.currentTimeS);
-
     ctx.fillStyle = "#203f4a";
     ctx.font = `${12 * ratio}px 'Trebuchet MS', sans-serif`;
     ctx.fillText("Track", trackLeft, trackY + 56 * ratio);
     ctx.fillText("Pulley", pulleyX - 20 * ratio, pulleyY - 24 * ratio);
     ctx.fillText("Force Sensor", cartX + 4 * ratio, trackY - 16 * ratio);
 
+    this.renderReadout();
+  }
+
+  renderFullAtwood() {
+    this.resizeCanvas();
+
+    const ratio = window.devicePixelRatio || 1;
+    const ctx = this.context;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "#f6fbfd";
+    ctx.fillRect(0, 0, width, height);
+
+    const pulleyX = width / 2;
+    const pulleyY = 44 * ratio;
+    const pulleyRadius = 30 * ratio;
+    const floorY = height - 30 * ratio;
+    const travelPx = Math.max(40 * ratio, floorY - 150 * ratio - 60 * ratio);
+
+    const displacement = trajectoryStateAt(this.trial.signals.trajectory, this.currentTimeS).positionM;
+    const normalizedMove = clamp(displacement / ATWOOD_DROP_M, 0, 1);
+
+    // The heavier hanging mass starts high and falls; the counter mass rises.
+    // Once the heavy mass is on the floor the counter mass can fly on up on a
+    // slack string, as far as the pulley lets the drawing show it.
+    const heavyX = pulleyX - pulleyRadius;
+    const counterX = pulleyX + pulleyRadius;
+    const heavyTopY = 110 * ratio + normalizedMove * travelPx;
+    const counterTopY = Math.max(
+      110 * ratio + travelPx - Math.max(displacement / ATWOOD_DROP_M, 0) * travelPx,
+      pulleyY + pulleyRadius + 18 * ratio
+    );
+    const blockWidth = 40 * ratio;
+    const blockHeight = 40 * ratio;
+
+    ctx.strokeStyle = "#2d5865";
+    ctx.lineWidth = 3 * ratio;
+    ctx.beginPath();
+    ctx.moveTo(pulleyX - 160 * ratio, floorY);
+    ctx.lineTo(pulleyX + 160 * ratio, floorY);
+    ctx.moveTo(pulleyX, 6 * ratio);
+    ctx.lineTo(pulleyX, pulleyY);
+    ctx.stroke();
+
+    ctx.strokeStyle = "#507885";
+    ctx.lineWidth = 2 * ratio;
+    ctx.beginPath();
+    ctx.moveTo(heavyX, heavyTopY);
+    ctx.lineTo(heavyX, pulleyY);
+    ctx.arc(pulleyX, pulleyY, pulleyRadius, Math.PI, 0, false);
+    ctx.lineTo(counterX, counterTopY);
+    ctx.stroke();
+
+    ctx.fillStyle = "#dceff4";
+    ctx.strokeStyle = "#2d5865";
+    ctx.beginPath();
+    ctx.arc(pulleyX, pulleyY, pulleyRadius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = "#8ab1bf";
+    ctx.strokeStyle = "#1b5568";
+    ctx.fillRect(heavyX - blockWidth / 2, heavyTopY, blockWidth, blockHeight);
+    ctx.strokeRect(heavyX - blockWidth / 2, heavyTopY, blockWidth, blockHeight);
+
+    ctx.fillStyle = "#76b7cb";
+    ctx.fillRect(counterX - blockWidth / 2, counterTopY, blockWidth, blockHeight);
+    ctx.strokeRect(counterX - blockWidth / 2, counterTopY, blockWidth, blockHeight);
+
+    ctx.fillStyle = "#1b5568";
+    ctx.fillRect(counterX - 6 * ratio, counterTopY - 14 * ratio, 12 * ratio, 12 * ratio);
+
+    const { physics } = this.trial;
+    ctx.fillStyle = "#203f4a";
+    ctx.font = `${12 * ratio}px 'Trebuchet MS', sans-serif`;
+    ctx.fillText("Pulley", pulleyX - 18 * ratio, pulleyY + 4 * ratio);
+    ctx.fillText(`m₁ = ${physics.hangingMassKg.toFixed(2)} kg`, heavyX - 130 * ratio, heavyTopY + 24 * ratio);
+    ctx.fillText(`m₂ = ${physics.config.counterMassKg.toFixed(2)} kg`, counterX + 28 * ratio, counterTopY + 24 * ratio);
+    ctx.fillText("Force Sensor", counterX + 12 * ratio, counterTopY - 6 * ratio);
+    ctx.fillText("Floor", pulleyX + 164 * ratio, floorY + 4 * ratio);
+
+    this.renderReadout();
+  }
+
+  renderReadout() {
+    const liveForce = interpolate(this.trial.signals.timesS, this.trial.signals.forceN, this.currentTimeS);
+    const liveVelocity = interpolate(this.trial.signals.timesS, this.trial.signals.velocityMps, this.currentTimeS);
+
     this.timeValue.textContent = `${this.currentTimeS.toFixed(2)} s`;
     this.forceValue.textContent = `${liveForce.toFixed(3)} N`;
     this.velocityValue.textContent = `${liveVelocity.toFixed(3)} m/s`;
@@ -389,6 +456,26 @@ export class HalfAtwoodView {
       return "Steady acceleration phase";
     }
 
+    if (phases.landS !== null && t <= phases.coastEndS) {
+      return "Coasting (hanging mass landed)";
+    }
+
+    if (phases.impactS !== null && t >= phases.impactS && this.trial.signals.impact.floorLanding) {
+      return t < phases.settleS
+        ? "Heavy mass landed; counter mass bouncing on the string"
+        : "At rest with the heavy mass on the floor";
+    }
+
+    if (phases.impactS !== null && t >= phases.impactS) {
+      if (t < phases.settleS) {
+        return this.trial.signals.impact.bounce.restitution > 0
+          ? "Bouncing off the end stop"
+          : "Impact at end stop";
+      }
+
+      return "At rest against the end stop";
+    }
+
     if (t <= phases.stopEndS) {
       return "Stop/deceleration phase";
     }
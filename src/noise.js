@@ -0,0 +1,204 @@
+/**
+ * Amplitudes are in the channel's own units (N for force, m/s for velocity).
+ * Components left out or set to 0 are off and draw no random numbers, so a
+ * white-only profile reproduces the plain Gaussian noise exactly.
+ *
+ * @typedef {Object} ChannelNoise
+ * @property {number} whiteStd Standard deviation of white Gaussian noise.
+ * @property {number} [pinkStd] 1/f noise: slow wander with fast jitter on top.
+ * @property {number} [brownStd] Leaky random walk, for slow baseline wander.
+ * @property {number} [humAmplitude] Mains pickup; aliases to a slow wobble at low sample rates.
+ * @property {number} [humFrequencyHz] 50 or 60 depending on the local grid.
+ * @property {number} [spikeProbability] Chance per sample of an impulse spike.
+ * @property {number} [spikeAmplitude] Largest spike; each one is 50-100% of this with a random sign.
+ * @property {number} [dropoutProbability] Chance per sample that the reading drops to zero.
+ * @property {number} [dropoutSamples] How many samples each dropout lasts.
+ */
+
+/**
+ * @typedef {Object} NoiseProfile
+ * @property {string} id
+ * @property {string} label
+ * @property {ChannelNoise} force
+ * @property {ChannelNoise} velocity
+ */
+
+/** Paul Kellet's economy pink filter has a standard deviation of about 3 for unit white input. */
+const PINK_NORMALIZATION = 1 / 3;
+
+const BROWN_LEAK = 0.98;
+
+/** @type {NoiseProfile[]} */
+export const NOISE_PROFILES = Object.freeze([
+  {
+    id: "clean",
+    label: "Clean (white noise only)",
+    force: { whiteStd: 0.01 },
+    velocity: { whiteStd: 0.006 }
+  },
+  {
+    id: "messy",
+    label: "Messy bench (hum, wander, spikes, dropouts)",
+    force: {
+      whiteStd: 0.015,
+      pinkStd: 0.015,
+      humAmplitude: 0.03,
+      humFrequencyHz: 50,
+      spikeProbability: 0.01,
+      spikeAmplitude: 0.3,
+      dropoutProbability: 0.004,
+      dropoutSamples: 3
+    },
+    velocity: {
+      whiteStd: 0.008,
+      brownStd: 0.004,
+      spikeProbability: 0.008,
+      spikeAmplitude: 0.1,
+      dropoutProbability: 0.004,
+      dropoutSamples: 2
+    }
+  }
+]);
+
+/**
+ * @param {string} profileId
+ * @returns {NoiseProfile}
+ */
+export function getNoiseProfileById(profileId) {
+  const profile = NOISE_PROFILES.find((item) => item.id === profileId);
+  if (!profile) {
+    throw new Error(`Unknown noise profile: ${profileId}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Seeded mulberry32 generator.
+ *
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state += 0x6d2b79f5;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * What a trial's noise seed is derived from. The class code and group name
+ * come from the teacher; the rest identifies the trial within the group.
+ *
+ * @typedef {Object} SeedKey
+ * @property {string} classCode
+ * @property {string} groupName
+ * @property {number} trialId
+ * @property {string} scenario
+ * @property {string} presetId
+ * @property {number} hangingMassKg
+ */
+
+/**
+ * Stable 32-bit seed from a seed key, via FNV-1a over a canonical string.
+ * Codes are trimmed and case-folded so "Group A" and " group a" match when a
+ * teacher retypes them.
+ *
+ * @param {SeedKey} key
+ * @returns {number}
+ */
+export function deriveTrialSeed(key) {
+  const canonical = [
+    key.classCode.trim().toLowerCase().replace(/\s+/g, " "),
+    key.groupName.trim().toLowerCase().replace(/\s+/g, " "),
+    key.trialId,
+    key.scenario,
+    key.presetId,
+    key.hangingMassKg.toFixed(3)
+  ].join("|");
+
+  let hash = 0x811c9dc5;
+  for (const char of canonical) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Box-Muller Gaussian samples from a uniform generator.
+ *
+ * @param {() => number} rng
+ * @returns {(scale: number) => number}
+ */
+export function createGaussian(rng) {
+  return (scale) => {
+    const u1 = Math.min(1 - 1e-8, Math.max(1e-8, rng()));
+    const u2 = rng();
+    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    return z * scale;
+  };
+}
+
+/**
+ * Builds a stateful noise source for one channel. Call it once per sample, in
+ * time order.
+ *
+ * @param {ChannelNoise} channel
+ * @param {() => number} rng Shared with `gaussian`, so channels built on one generator interleave deterministically.
+ * @param {(scale: number) => number} gaussian
+ * @returns {(value: number, timeS: number, whiteScale?: number) => number}
+ *   `whiteScale` scales only the white component, for phases that are quieter or louder than usual.
+ */
+export function createChannelNoise(channel, rng, gaussian) {
+  const humPhase = channel.humAmplitude ? 2 * Math.PI * rng() : 0;
+  let pink = [0, 0, 0];
+  let brown = 0;
+  let dropoutLeft = 0;
+
+  return (value, timeS, whiteScale = 1) => {
+    let noisy = value + gaussian(channel.whiteStd * whiteScale);
+
+    if (channel.pinkStd) {
+      const white = gaussian(1);
+      pink = [
+        0.99765 * pink[0] + white * 0.099046,
+        0.963 * pink[1] + white * 0.2965164,
+        0.57 * pink[2] + white * 1.0526913
+      ];
+      noisy += (pink[0] + pink[1] + pink[2] + white * 0.1848) * PINK_NORMALIZATION * channel.pinkStd;
+    }
+
+    if (channel.brownStd) {
+      brown = BROWN_LEAK * brown + gaussian(1);
+      noisy += brown * Math.sqrt(1 - BROWN_LEAK * BROWN_LEAK) * channel.brownStd;
+    }
+
+    if (channel.humAmplitude) {
+      noisy += channel.humAmplitude * Math.sin(2 * Math.PI * (channel.humFrequencyHz ?? 60) * timeS + humPhase);
+    }
+
+    if (channel.spikeProbability && rng() < channel.spikeProbability) {
+      const sign = rng() < 0.5 ? -1 : 1;
+      noisy += sign * (channel.spikeAmplitude ?? 0) * (0.5 + 0.5 * rng());
+    }
+
+    if (dropoutLeft > 0) {
+      dropoutLeft -= 1;
+      return 0;
+    }
+
+    if (channel.dropoutProbability && rng() < channel.dropoutProbability) {
+      dropoutLeft = Math.max(0, (channel.dropoutSamples ?? 1) - 1);
+      return 0;
+    }
+
+    return noisy;
+  };
+}
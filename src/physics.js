@@ -1,7 +1,10 @@
+import { integrateMotion, timeToTravelM } from "./integrator.js";
 import { getPresetById, scenarioTitle } from "./presets.js";
 
+/** Earth gravity, used when a trial does not set its own. */
 export const G = 9.81;
 export const TRACK_LENGTH_M = 1.2;
+export const ATWOOD_DROP_M = 1.0;
 
 /**
  * @typedef {import("./presets.js").ScenarioId} ScenarioId
@@ -15,9 +18,27 @@ export const TRACK_LENGTH_M = 1.2;
  * @property {string} presetLabel
  * @property {number} cartMassKg
  * @property {number} padMassKg
- * @property {number} systemMassKg
+ * @property {number} cartAddedMassKg Slotted masses riding on the cart; always 0 in the full Atwood.
+ * @property {number} counterMassKg
+ * @property {number} systemMassKg Mass on the sensor side of the string: the cart (+ pad), or the counter mass in the full Atwood.
+ * @property {number} gravityMps2
+ * @property {number|null} trackAngleDeg Positive tilts the track uphill toward the pulley; null in the full Atwood, which has no track.
+ * @property {number} gravityAlongTrackN Weight component along the track, positive when it opposes motion toward the pulley; 0 in the full Atwood.
+ * @property {number} counterWeightN Weight of the counter mass the sensor lifts in the full Atwood; 0 for a cart.
+ * @property {"constant" | "coefficient"} frictionModel
+ * @property {number|null} muStatic
+ * @property {number|null} muKinetic
+ * @property {number} normalForceN
  * @property {number} dragN
  * @property {number} startThresholdN
+ * @property {number} linearDragNsPerM
+ * @property {number} quadraticDragNs2PerM2
+ * @property {number} pulleyRadiusM
+ * @property {number} pulleyInertiaKgM2
+ * @property {number} pulleyFrictionTorqueNm
+ * @property {number} pulleyEffectiveMassKg Extra inertia the pulley adds to the string, I / r^2.
+ * @property {number} pulleyFrictionN Bearing torque expressed as a force at the rim, tau / r.
+ * @property {number} bumperRestitution 0 in the full Atwood, whose heavy mass lands on the floor instead.
  */
 
 /**
@@ -25,6 +46,21 @@ export const TRACK_LENGTH_M = 1.2;
  * @property {ScenarioId} scenario
  * @property {string} presetId
  * @property {number} hangingMassKg
+ * @property {number} [cartAddedMassKg] Slotted masses moved onto the cart, e.g. to keep the total mass constant.
+ * @property {number} [gravityMps2] Defaults to Earth gravity, G.
+ * @property {number} [trackAngleDeg] Defaults to a level track.
+ * @property {number|null} [dropHeightM] How far the hanging mass can fall before it lands; null means it never does.
+ * @property {number} [bumperRestitution] Coefficient of restitution of the end stop; 0 (the default) is a dead stop.
+ */
+
+/**
+ * @typedef {Object} CoastPhase
+ * @property {number} landingTimeS Time from release until the hanging mass lands.
+ * @property {number} landingSpeedMps
+ * @property {number} decelerationMps2 Constant-force slowdown once the string is slack; negative means it keeps speeding up.
+ * @property {number} durationS Coast time until the cart stops or reaches the end of its path.
+ * @property {number} distanceM Distance covered during the coast.
+ * @property {boolean} reachesPathEnd
  */
 
 /**
@@ -33,11 +69,192 @@ export const TRACK_LENGTH_M = 1.2;
  * @property {number} hangingMassKg
  * @property {number} pullingForceN
  * @property {number} netForceN
- * @property {number} accelerationMps2
- * @property {number} tensionN
+ * @property {number} totalAcceleratedMassKg Everything the string has to accelerate, pulley included.
+ * @property {number} accelerationMps2 Acceleration from rest; with velocity-dependent drag it falls off as the cart speeds up.
+ * @property {number} tensionN Tension on the cart side of the pulley (what the force sensor reads).
+ * @property {number} hangingTensionN Tension on the hanging-mass side of the pulley.
  * @property {boolean} moved
  * @property {number|null} travelTimeS
+ * @property {number|null} dropHeightM
+ * @property {CoastPhase|null} coast Set when the hanging mass lands before the cart runs out of path.
+ */
+
+/**
+ * @typedef {Object} EndStopBounce
+ * @property {number} restitution
+ * @property {boolean} stringTaut Whether the hanging mass is still on the string during the rebound.
+ * @property {number} outwardDecelerationMps2 Slowdown while moving back away from the end stop.
+ * @property {number} returnAccelerationMps2 Pull back toward the end stop; 0 once the string is slack.
+ * @property {number} reboundTensionN Cart-side tension while moving away from the end stop.
+ * @property {number[]} impactOffsetsS Time of each impact after the first.
+ * @property {number[]} impactSpeedsMps Speed going into each impact.
+ * @property {number} settleOffsetS When the cart comes to rest, measured from the first impact.
+ * @property {number} restOffsetM Where the cart ends up, measured back from the end stop.
+ */
+
+/**
+ * A stretch of constant acceleration of the full Atwood's counter mass after
+ * the heavy mass first lands. Position is measured from where the counter mass
+ * was at that landing, positive up toward the pulley.
+ *
+ * @typedef {Object} MotionSegment
+ * @property {number} startOffsetS Measured from the first landing.
+ * @property {number} startPositionM
+ * @property {number} startVelocityMps
+ * @property {number} accelerationMps2
+ * @property {number} tensionN
+ */
+
+/**
+ * @typedef {Object} FloorLanding
+ * @property {MotionSegment[]} segments
+ * @property {number[]} impactOffsetsS When the string snaps taut under the falling counter mass.
+ * @property {number[]} impactSpeedsMps Speed of the counter mass as the string catches it.
+ * @property {number} settleOffsetS When everything is at rest, measured from the first landing.
+ * @property {number} restTensionN The string holds only the counter mass once the heavy mass rests on the floor.
+ */
+
+const MAX_BOUNCES = 8;
+const MIN_BOUNCE_SPEED_MPS = 0.02;
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function clampRestitution(value) {
+  return Math.min(0.95, Math.max(0, value));
+}
+
+/**
+ * @param {ScenarioConfig} config
+ * @returns {boolean}
+ */
+export function hasVelocityDependentDrag(config) {
+  return config.linearDragNsPerM > 0 || config.quadraticDragNs2PerM2 > 0;
+}
+
+/**
+ * @param {ScenarioConfig} config
+ * @returns {number} How far the sensor-side mass can travel: the track, or the counter mass's climb.
+ */
+export function pathLengthM(config) {
+  return config.scenario === "full_atwood" ? ATWOOD_DROP_M : TRACK_LENGTH_M;
+}
+
+/**
+ * Weight opposing the sensor-side mass as it moves toward the pulley: the
+ * along-track component for a cart, the whole counter weight in the full Atwood.
+ *
+ * @param {ScenarioConfig} config
+ * @returns {number}
+ */
+export function pathWeightN(config) {
+  return config.gravityAlongTrackN + config.counterWeightN;
+}
+
+/**
+ * Once the hanging mass lands the string goes slack and only drag (plus any
+ * weight component along the path) acts on the sensor-side mass. Speed-dependent
+ * drag is left out of the coast so it stays a constant-deceleration phase.
+ *
+ * @param {TrialPhysics} physics
+ * @returns {CoastPhase|null}
+ */
+function computeCoastPhase(physics) {
+  const { config, dropHeightM } = physics;
+  const pathM = pathLengthM(config);
+
+  if (!physics.moved || dropHeightM === null || dropHeightM <= 0 || dropHeightM >= pathM) {
+    return null;
+  }
+
+  let landingTimeS = Math.sqrt((2 * dropHeightM) / physics.accelerationMps2);
+  let landingSpeedMps = physics.accelerationMps2 * landingTimeS;
+
+  if (hasVelocityDependentDrag(config)) {
+    landingTimeS = timeToTravelM(physics, dropHeightM);
+    const motion = integrateMotion(physics, { durationS: landingTimeS });
+    landingSpeedMps = motion.velocityMps[motion.velocityMps.length - 1];
+  }
+
+  const decelerationMps2 = (config.dragN + pathWeightN(config)) / config.systemMassKg;
+  const remainingM = pathM - dropHeightM;
+  const stopDistanceM = decelerationMps2 > 0
+    ? (landingSpeedMps * landingSpeedMps) / (2 * decelerationMps2)
+    : Number.POSITIVE_INFINITY;
+
+  if (stopDistanceM <= remainingM) {
+    return {
+      landingTimeS,
+      landingSpeedMps,
+      decelerationMps2,
+      durationS: landingSpeedMps / decelerationMps2,
+      distanceM: stopDistanceM,
+      reachesPathEnd: false
+    };
+  }
+
+  // Solve remaining = v t - d t^2 / 2 for the first crossing (d may be <= 0).
+  const durationS = decelerationMps2 === 0
+    ? remainingM / landingSpeedMps
+    : (landingSpeedMps - Math.sqrt(landingSpeedMps * landingSpeedMps - 2 * decelerationMps2 * remainingM)) / decelerationMps2;
+
+  return {
+    landingTimeS,
+    landingSpeedMps,
+    decelerationMps2,
+    durationS,
+    distanceM: remainingM,
+    reachesPathEnd: true
+  };
+}
+
+/**
+ * @param {Omit<TrialPhysics, "dropHeightM" | "coast">} physics
+ * @param {TrialInput} input
+ * @returns {TrialPhysics}
  */
+function withDropHeight(physics, input) {
+  const withHeight = {
+    ...physics,
+    dropHeightM: input.dropHeightM ?? null,
+    coast: null
+  };
+
+  return {
+    ...withHeight,
+    coast: computeCoastPhase(withHeight)
+  };
+}
+
+/**
+ * @param {import("./presets.js").ScenarioFrictionConfig} friction
+ * @param {number} normalForceN
+ * @returns {{frictionModel: "constant" | "coefficient", muStatic: number|null, muKinetic: number|null, dragN: number, startThresholdN: number}}
+ */
+function resolveFriction(friction, normalForceN) {
+  if (friction.muStatic !== undefined && friction.muKinetic !== undefined) {
+    return {
+      frictionModel: "coefficient",
+      muStatic: friction.muStatic,
+      muKinetic: friction.muKinetic,
+      dragN: friction.muKinetic * normalForceN,
+      startThresholdN: friction.muStatic * normalForceN
+    };
+  }
+
+  if (friction.dragN !== undefined && friction.startThresholdN !== undefined) {
+    return {
+      frictionModel: "constant",
+      muStatic: null,
+      muKinetic: null,
+      dragN: friction.dragN,
+      startThresholdN: friction.startThresholdN
+    };
+  }
+
+  throw new Error("Friction config needs either dragN + startThresholdN or muStatic + muKinetic");
+}
 
 /**
  * @param {TrialInput} input
@@ -51,9 +268,25 @@ export function getScenarioConfig(input) {
     throw new Error(`Unsupported scenario: ${input.scenario}`);
   }
 
-  const systemMassKg = input.scenario === "cart_plus_pad"
-    ? preset.cartMassKg + preset.padMassKg
-    : preset.cartMassKg;
+  const isFullAtwood = input.scenario === "full_atwood";
+  const cartAddedMassKg = isFullAtwood ? 0 : Math.max(0, input.cartAddedMassKg ?? 0);
+  let systemMassKg = preset.cartMassKg + cartAddedMassKg;
+  if (input.scenario === "cart_plus_pad") {
+    systemMassKg += preset.padMassKg;
+  } else if (isFullAtwood) {
+    systemMassKg = preset.counterMassKg;
+  }
+
+  // The counter mass hangs straight down: no track, so no tilt and no normal
+  // force, and its whole weight acts along the string.
+  const trackAngleDeg = isFullAtwood ? null : input.trackAngleDeg ?? 0;
+  const trackAngleRad = ((trackAngleDeg ?? 0) * Math.PI) / 180;
+  const gravityMps2 = input.gravityMps2 ?? G;
+  const normalForceN = isFullAtwood ? 0 : systemMassKg * gravityMps2 * Math.cos(trackAngleRad);
+  const gravityAlongTrackN = isFullAtwood ? 0 : systemMassKg * gravityMps2 * Math.sin(trackAngleRad);
+  const counterWeightN = isFullAtwood ? preset.counterMassKg * gravityMps2 : 0;
+  const friction = resolveFriction(scenarioFriction, normalForceN);
+  const { radiusM, inertiaKgM2, frictionTorqueNm } = preset.pulley;
 
   return {
     scenario: input.scenario,
@@ -62,9 +295,27 @@ export function getScenarioConfig(input) {
     presetLabel: preset.label,
     cartMassKg: preset.cartMassKg,
     padMassKg: preset.padMassKg,
+    cartAddedMassKg,
+    counterMassKg: preset.counterMassKg,
     systemMassKg,
-    dragN: scenarioFriction.dragN,
-    startThresholdN: scenarioFriction.startThresholdN
+    gravityMps2,
+    trackAngleDeg,
+    gravityAlongTrackN,
+    counterWeightN,
+    frictionModel: friction.frictionModel,
+    muStatic: friction.muStatic,
+    muKinetic: friction.muKinetic,
+    normalForceN,
+    dragN: friction.dragN,
+    startThresholdN: friction.startThresholdN,
+    linearDragNsPerM: scenarioFriction.linearDragNsPerM ?? 0,
+    quadraticDragNs2PerM2: scenarioFriction.quadraticDragNs2PerM2 ?? 0,
+    pulleyRadiusM: radiusM,
+    pulleyInertiaKgM2: inertiaKgM2,
+    pulleyFrictionTorqueNm: frictionTorqueNm,
+    pulleyEffectiveMassKg: inertiaKgM2 / (radiusM * radiusM),
+    pulleyFrictionN: frictionTorqueNm / radiusM,
+    bumperRestitution: isFullAtwood ? 0 : clampRestitution(input.bumperRestitution ?? 0)
   };
 }
 
@@ -73,24 +324,67 @@ export function getScenarioConfig(input) {
  * @returns {TrialPhysics}
  */
 export function computeTrialPhysics(input) {
+  if (input.scenario === "full_atwood") {
+    return computeFullAtwoodPhysics(input);
+  }
+
+  return withDropHeight(solveHalfAtwood(input), input);
+}
+
+/**
+ * What the slope of hanging weight m·g against a should be when slotted masses
+ * move between cart and hanger with the total fixed. Each kilogram hung also
+ * comes off the cart, taking its share of μ friction and of the weight along a
+ * tilted track with it, so the slope is the total accelerated mass divided by
+ * 1 + sin θ + μk cos θ. Level with constant friction, it is the mass itself.
+ *
+ * @param {ScenarioConfig} config Config of any trial in the series.
+ * @param {number} slottedPoolKg
+ * @returns {{totalMassKg: number, divisor: number, slopeKg: number}}
+ *   `totalMassKg` is cart (+ pad) + slotted masses; `slopeKg` adds the pulley.
+ */
+export function constantTotalSlope(config, slottedPoolKg) {
+  const totalMassKg = config.systemMassKg - config.cartAddedMassKg + slottedPoolKg;
+  const trackAngleRad = ((config.trackAngleDeg ?? 0) * Math.PI) / 180;
+  const divisor = 1 + Math.sin(trackAngleRad) + (config.muKinetic ?? 0) * Math.cos(trackAngleRad);
+
+  return {
+    totalMassKg,
+    divisor,
+    slopeKg: (totalMassKg + config.pulleyEffectiveMassKg) / divisor
+  };
+}
+
+/**
+ * Cart on a track pulled by the hanging mass, up to the moment anything lands.
+ *
+ * @param {TrialInput} input
+ * @returns {Omit<TrialPhysics, "dropHeightM" | "coast">}
+ */
+function solveHalfAtwood(input) {
   const config = getScenarioConfig(input);
-  const pullingForceN = input.hangingMassKg * G;
+  const pullingForceN = input.hangingMassKg * config.gravityMps2;
+  const totalAcceleratedMassKg = config.systemMassKg + input.hangingMassKg + config.pulleyEffectiveMassKg;
+  const drivingForceN = pullingForceN - config.gravityAlongTrackN;
 
-  if (pullingForceN <= config.startThresholdN) {
+  if (drivingForceN <= config.startThresholdN + config.pulleyFrictionN) {
     return {
       config,
       hangingMassKg: input.hangingMassKg,
       pullingForceN,
       netForceN: 0,
+      totalAcceleratedMassKg,
       accelerationMps2: 0,
       tensionN: pullingForceN,
+      hangingTensionN: pullingForceN,
       moved: false,
       travelTimeS: null
     };
   }
 
-  const netForceN = pullingForceN - config.dragN;
-  const totalAcceleratedMassKg = config.systemMassKg + input.hangingMassKg;
+  // The pulley bearing resists like extra drag and its wheel has to be spun up
+  // along with the masses, so both show up in the string's equation of motion.
+  const netForceN = drivingForceN - config.dragN - config.pulleyFrictionN;
   const accelerationMps2 = netForceN / totalAcceleratedMassKg;
 
   if (accelerationMps2 <= 0) {
@@ -99,24 +393,346 @@ export function computeTrialPhysics(input) {
       hangingMassKg: input.hangingMassKg,
       pullingForceN,
       netForceN,
+      totalAcceleratedMassKg,
       accelerationMps2: 0,
       tensionN: pullingForceN,
+      hangingTensionN: pullingForceN,
       moved: false,
       travelTimeS: null
     };
   }
 
-  const tensionN = config.systemMassKg * accelerationMps2 + config.dragN;
-  const travelTimeS = Math.sqrt((2 * TRACK_LENGTH_M) / accelerationMps2);
+  const tensionN = config.systemMassKg * accelerationMps2 + config.dragN + config.gravityAlongTrackN;
+  const hangingTensionN = input.hangingMassKg * (config.gravityMps2 - accelerationMps2);
+  const closedForm = {
+    config,
+    hangingMassKg: input.hangingMassKg,
+    pullingForceN,
+    netForceN,
+    totalAcceleratedMassKg,
+    accelerationMps2,
+    tensionN,
+    hangingTensionN,
+    moved: true,
+    travelTimeS: Math.sqrt((2 * TRACK_LENGTH_M) / accelerationMps2)
+  };
+
+  if (!hasVelocityDependentDrag(config)) {
+    return closedForm;
+  }
+
+  // Speed-dependent drag has no tidy closed form for the travel time, so step
+  // the motion numerically until the cart runs out of track.
+  const travelTimeS = timeToTravelM(closedForm, TRACK_LENGTH_M);
 
   return {
+    ...closedForm,
+    travelTimeS
+  };
+}
+
+/**
+ * Two masses hanging over one pulley. The selected hanging mass is the heavier
+ * side; the force sensor sits above the lighter counter mass as it rises.
+ *
+ * The drop height is ignored: once the heavy mass lands, the counter mass
+ * would climb, fall back and jerk it off the floor again, which the coast
+ * phase does not model. The pull runs the full `ATWOOD_DROP_M` instead.
+ *
+ * @param {TrialInput} input
+ * @returns {TrialPhysics}
+ */
+export function computeFullAtwoodPhysics(input) {
+  return withDropHeight(solveFullAtwood(input), { ...input, dropHeightM: null });
+}
+
+/**
+ * @param {TrialInput} input
+ * @returns {Omit<TrialPhysics, "dropHeightM" | "coast">}
+ */
+function solveFullAtwood(input) {
+  const config = getScenarioConfig(input);
+  const pullingForceN = input.hangingMassKg * config.gravityMps2;
+  const totalAcceleratedMassKg = input.hangingMassKg + config.counterMassKg + config.pulleyEffectiveMassKg;
+  const drivingForceN = pullingForceN - config.counterWeightN;
+
+  if (drivingForceN <= config.startThresholdN + config.pulleyFrictionN) {
+    // The counter mass rests on the floor, so the string only carries the
+    // lighter hanging mass.
+    return {
+      config,
+      hangingMassKg: input.hangingMassKg,
+      pullingForceN,
+      netForceN: 0,
+      totalAcceleratedMassKg,
+      accelerationMps2: 0,
+      tensionN: pullingForceN,
+      hangingTensionN: pullingForceN,
+      moved: false,
+      travelTimeS: null
+    };
+  }
+
+  const netForceN = drivingForceN - config.dragN - config.pulleyFrictionN;
+  const accelerationMps2 = netForceN / totalAcceleratedMassKg;
+  const tensionN = config.counterMassKg * (config.gravityMps2 + accelerationMps2) + config.dragN;
+  const hangingTensionN = input.hangingMassKg * (config.gravityMps2 - accelerationMps2);
+  const closedForm = {
     config,
     hangingMassKg: input.hangingMassKg,
     pullingForceN,
     netForceN,
+    totalAcceleratedMassKg,
     accelerationMps2,
     tensionN,
+    hangingTensionN,
     moved: true,
-    travelTimeS
+    travelTimeS: Math.sqrt((2 * ATWOOD_DROP_M) / accelerationMps2)
+  };
+
+  if (!hasVelocityDependentDrag(config)) {
+    return closedForm;
+  }
+
+  return {
+    ...closedForm,
+    travelTimeS: timeToTravelM(closedForm, ATWOOD_DROP_M)
+  };
+}
+
+/**
+ * Bounces off the end stop. With the string taut the hanging mass hauls the
+ * cart back for another impact each time; the rebound includes track tilt
+ * through the net force and the path weight. With a slack string (mass already
+ * landed) the cart slides back once and only friction brings it to rest, tilt
+ * aside. Speed-dependent drag is left out of both.
+ *
+ * @param {TrialPhysics} physics
+ * @param {number} impactSpeedMps
+ * @param {{stringTaut: boolean}} options
+ * @returns {EndStopBounce}
+ */
+export function computeEndStopBounce(physics, impactSpeedMps, options) {
+  const { config } = physics;
+  const restitution = config.bumperRestitution;
+
+  if (!options.stringTaut) {
+    const reboundSpeed = restitution * impactSpeedMps;
+    const outwardDecelerationMps2 = config.dragN / config.systemMassKg;
+
+    return {
+      restitution,
+      stringTaut: false,
+      outwardDecelerationMps2,
+      returnAccelerationMps2: 0,
+      reboundTensionN: 0,
+      impactOffsetsS: [0],
+      impactSpeedsMps: [impactSpeedMps],
+      settleOffsetS: reboundSpeed / outwardDecelerationMps2,
+      restOffsetM: (reboundSpeed * reboundSpeed) / (2 * outwardDecelerationMps2)
+    };
+  }
+
+  // Heading away from the stop, friction and the hanging weight both pull back.
+  const outwardDecelerationMps2 = (physics.netForceN + 2 * (config.dragN + config.pulleyFrictionN))
+    / physics.totalAcceleratedMassKg;
+  const returnAccelerationMps2 = Math.max(physics.accelerationMps2, 0);
+  const reboundTensionN = config.systemMassKg * outwardDecelerationMps2 + pathWeightN(config) - config.dragN;
+
+  const impactOffsetsS = [0];
+  const impactSpeedsMps = [impactSpeedMps];
+  let offsetS = 0;
+  let speed = impactSpeedMps * restitution;
+
+  while (speed > MIN_BOUNCE_SPEED_MPS && impactOffsetsS.length < MAX_BOUNCES && returnAccelerationMps2 > 0) {
+    const outDistanceM = (speed * speed) / (2 * outwardDecelerationMps2);
+    offsetS += speed / outwardDecelerationMps2 + Math.sqrt((2 * outDistanceM) / returnAccelerationMps2);
+    const returnSpeed = Math.sqrt(2 * returnAccelerationMps2 * outDistanceM);
+
+    impactOffsetsS.push(offsetS);
+    impactSpeedsMps.push(returnSpeed);
+    speed = returnSpeed * restitution;
+  }
+
+  if (speed > 0) {
+    // The last, tiny rebound just dies out before the cart is pulled back.
+    offsetS += speed / outwardDecelerationMps2;
+  }
+
+  return {
+    restitution,
+    stringTaut: true,
+    outwardDecelerationMps2,
+    returnAccelerationMps2,
+    reboundTensionN,
+    impactOffsetsS,
+    impactSpeedsMps,
+    settleOffsetS: offsetS,
+    restOffsetM: 0
+  };
+}
+
+/**
+ * Position, velocity and acceleration relative to the end stop, `dt` after the
+ * first impact. Offset is measured back from the stop (>= 0); velocity and
+ * acceleration are positive toward it. The impacts themselves are instantaneous.
+ *
+ * @param {EndStopBounce} bounce
+ * @param {number} dt
+ * @returns {{offsetM: number, velocityMps: number, accelerationMps2: number, outbound: boolean}}
+ */
+export function bounceStateAt(bounce, dt) {
+  if (dt <= 0) {
+    return { offsetM: 0, velocityMps: 0, accelerationMps2: 0, outbound: false };
+  }
+
+  if (dt >= bounce.settleOffsetS) {
+    return { offsetM: bounce.restOffsetM, velocityMps: 0, accelerationMps2: 0, outbound: false };
+  }
+
+  let index = 0;
+  while (index < bounce.impactOffsetsS.length - 1 && bounce.impactOffsetsS[index + 1] <= dt) {
+    index += 1;
+  }
+
+  const reboundSpeed = bounce.impactSpeedsMps[index] * bounce.restitution;
+  const decel = bounce.outwardDecelerationMps2;
+  const outTimeS = reboundSpeed / decel;
+  const local = dt - bounce.impactOffsetsS[index];
+
+  if (local <= outTimeS) {
+    return {
+      offsetM: reboundSpeed * local - 0.5 * decel * local * local,
+      velocityMps: -(reboundSpeed - decel * local),
+      accelerationMps2: decel,
+      outbound: true
+    };
+  }
+
+  if (!bounce.stringTaut || bounce.returnAccelerationMps2 <= 0) {
+    return { offsetM: (reboundSpeed * reboundSpeed) / (2 * decel), velocityMps: 0, accelerationMps2: 0, outbound: false };
+  }
+
+  const peakOffsetM = (reboundSpeed * reboundSpeed) / (2 * decel);
+  const back = local - outTimeS;
+  const returned = 0.5 * bounce.returnAccelerationMps2 * back * back;
+
+  return {
+    offsetM: Math.max(0, peakOffsetM - returned),
+    velocityMps: bounce.returnAccelerationMps2 * back,
+    accelerationMps2: bounce.returnAccelerationMps2,
+    outbound: false
+  };
+}
+
+/**
+ * The full Atwood's heavy mass landing on the floor. It stays down and the
+ * string goes slack, so the counter mass flies on up and falls back until the
+ * string catches it. That jerk lifts the heavy mass off the floor, the taut
+ * string lets it fall again, and each round is slower than the last. The floor
+ * is a dead stop, and speed-dependent drag is left out as in the end-stop rebound.
+ *
+ * @param {TrialPhysics} physics
+ * @param {number} landingSpeedMps
+ * @returns {FloorLanding}
+ */
+export function computeFloorLanding(physics, landingSpeedMps) {
+  const { config } = physics;
+  // In free flight only its weight and the string drag act on the counter mass.
+  const riseDecelerationMps2 = (config.counterWeightN + config.dragN) / config.counterMassKg;
+  const fallAccelerationMps2 = (config.counterWeightN - config.dragN) / config.counterMassKg;
+  // While the heavy mass is lifted, friction and the net weight both pull it back down.
+  const liftDecelerationMps2 = (physics.netForceN + 2 * (config.dragN + config.pulleyFrictionN))
+    / physics.totalAcceleratedMassKg;
+  const liftTensionN = config.counterMassKg * liftDecelerationMps2 + config.counterWeightN - config.dragN;
+
+  /** @type {MotionSegment[]} */
+  const segments = [];
+  const impactOffsetsS = [];
+  const impactSpeedsMps = [];
+  let offsetS = 0;
+  let speed = landingSpeedMps;
+
+  /**
+   * @param {number} durationS
+   * @param {Omit<MotionSegment, "startOffsetS">} segment
+   */
+  const addSegment = (durationS, segment) => {
+    segments.push({ startOffsetS: offsetS, ...segment });
+    offsetS += durationS;
+  };
+
+  while (speed > MIN_BOUNCE_SPEED_MPS && impactOffsetsS.length < MAX_BOUNCES) {
+    const heightM = (speed * speed) / (2 * riseDecelerationMps2);
+    addSegment(speed / riseDecelerationMps2, {
+      startPositionM: 0,
+      startVelocityMps: speed,
+      accelerationMps2: -riseDecelerationMps2,
+      tensionN: 0
+    });
+
+    const fallS = Math.sqrt((2 * heightM) / fallAccelerationMps2);
+    addSegment(fallS, { startPositionM: heightM, startVelocityMps: 0, accelerationMps2: -fallAccelerationMps2, tensionN: 0 });
+
+    // The string snaps taut and shares the counter mass's momentum with the
+    // heavy mass and the pulley.
+    const catchSpeedMps = fallAccelerationMps2 * fallS;
+    const liftSpeedMps = (config.counterMassKg * catchSpeedMps) / physics.totalAcceleratedMassKg;
+    const liftDepthM = (liftSpeedMps * liftSpeedMps) / (2 * liftDecelerationMps2);
+    impactOffsetsS.push(offsetS);
+    impactSpeedsMps.push(catchSpeedMps);
+
+    addSegment(liftSpeedMps / liftDecelerationMps2, {
+      startPositionM: 0,
+      startVelocityMps: -liftSpeedMps,
+      accelerationMps2: liftDecelerationMps2,
+      tensionN: liftTensionN
+    });
+
+    const dropS = Math.sqrt((2 * liftDepthM) / physics.accelerationMps2);
+    addSegment(dropS, {
+      startPositionM: -liftDepthM,
+      startVelocityMps: 0,
+      accelerationMps2: physics.accelerationMps2,
+      tensionN: physics.tensionN
+    });
+    speed = physics.accelerationMps2 * dropS;
+  }
+
+  return {
+    segments,
+    impactOffsetsS,
+    impactSpeedsMps,
+    settleOffsetS: offsetS,
+    restTensionN: config.counterWeightN
+  };
+}
+
+/**
+ * State of the counter mass `dt` after the heavy mass first lands, measured as
+ * in `FloorLanding`. The string catching it is instantaneous.
+ *
+ * @param {FloorLanding} landing
+ * @param {number} dt
+ * @returns {{positionM: number, velocityMps: number, accelerationMps2: number, tensionN: number}}
+ */
+export function floorLandingStateAt(landing, dt) {
+  if (dt >= landing.settleOffsetS) {
+    return { positionM: 0, velocityMps: 0, accelerationMps2: 0, tensionN: landing.restTensionN };
+  }
+
+  let index = 0;
+  while (index < landing.segments.length - 1 && landing.segments[index + 1].startOffsetS <= dt) {
+    index += 1;
+  }
+
+  const segment = landing.segments[index];
+  const local = Math.max(0, dt - segment.startOffsetS);
+
+  return {
+    positionM: segment.startPositionM + segment.startVelocityMps * local + 0.5 * segment.accelerationMps2 * local * local,
+    velocityMps: segment.startVelocityMps + segment.accelerationMps2 * local,
+    accelerationMps2: segment.accelerationMps2,
+    tensionN: segment.tensionN
   };
 }
@@ -1,11 +1,33 @@
 /**
- * @typedef {"cart_only" | "cart_plus_pad"} ScenarioId
+ * @typedef {"cart_only" | "cart_plus_pad" | "full_atwood"} ScenarioId
  */
 
 /**
+ * Friction is given either as fixed forces (`dragN` + `startThresholdN`) or as
+ * coefficients (`muStatic` + `muKinetic`) that scale with the normal force.
+ *
  * @typedef {Object} ScenarioFrictionConfig
- * @property {number} dragN Constant opposing force while moving.
- * @property {number} startThresholdN Minimum pulling force required to start sustained motion.
+ * @property {number} [dragN] Constant opposing force while moving.
+ * @property {number} [startThresholdN] Minimum pulling force required to start sustained motion.
+ * @property {number} [muStatic] Static friction coefficient; threshold = muStatic * normal force.
+ * @property {number} [muKinetic] Kinetic friction coefficient; drag = muKinetic * normal force.
+ * @property {number} [linearDragNsPerM] Drag proportional to speed (eddy-current brake), in N per m/s.
+ * @property {number} [quadraticDragNs2PerM2] Drag proportional to speed squared (air sail), in N per (m/s)^2.
+ */
+
+/**
+ * @typedef {Object} PulleyConfig
+ * @property {number} radiusM Radius of the groove the string rides in.
+ * @property {number} inertiaKgM2 Rotational inertia of the pulley wheel about its axle.
+ * @property {number} frictionTorqueNm Constant bearing friction torque while the pulley turns.
+ */
+
+/**
+ * @typedef {Object} ForceSensorConfig
+ * @property {number} offsetN Reading with nothing on the hook, until the sensor is zeroed.
+ * @property {number} driftNPerS Slow thermal drift of the zero while logging.
+ * @property {number} resolutionN ADC step; readings are rounded to a multiple of it.
+ * @property {number} rangeN Readings clip at plus or minus this value.
  */
 
 /**
@@ -13,11 +35,33 @@
  * @property {string} id
  * @property {string} label
  * @property {boolean} noiseDefault
+ * @property {string} noiseProfileId Which entry of `NOISE_PROFILES` shapes this preset's noise.
+ * @property {boolean} allowCartOnly Whether the preset can be picked for the cart-only part.
+ * @property {boolean} allowWindowSuggestions Whether the graphs offer "Suggest window"; turn it off when choosing the window is the skill being assessed.
+ * @property {boolean} showWindowFeedback Whether an added trial is followed by feedback on where its windows sat and how far its results are from the model.
  * @property {number} cartMassKg
  * @property {number} padMassKg
- * @property {{cart_only: ScenarioFrictionConfig, cart_plus_pad: ScenarioFrictionConfig}} scenario
+ * @property {number} counterMassKg Lighter mass on the far side of the pulley in the full Atwood scenario.
+ * @property {PulleyConfig} pulley
+ * @property {ForceSensorConfig} forceSensor
+ * @property {{cart_only: ScenarioFrictionConfig, cart_plus_pad: ScenarioFrictionConfig, full_atwood: ScenarioFrictionConfig}} scenario
  */
 
+/**
+ * @typedef {Object} GravityPreset
+ * @property {string} id
+ * @property {string} label
+ * @property {number} gravityMps2
+ */
+
+/** @type {GravityPreset[]} */
+export const GRAVITY_PRESETS = Object.freeze([
+  { id: "earth", label: "Earth", gravityMps2: 9.81 },
+  { id: "moon", label: "Moon", gravityMps2: 1.62 },
+  { id: "mars", label: "Mars", gravityMps2: 3.71 },
+  { id: "jupiter", label: "Jupiter", gravityMps2: 24.79 }
+]);
+
 export const HANGING_MASS_STEPS_KG = Object.freeze([0.1, 0.2, 0.3, 0.4, 0.5, 0.6]);
 
 /** @type {TeacherPreset[]} */
@@ -26,8 +70,24 @@ export const PRESETS = Object.freeze([
     id: "low",
     label: "Low Friction",
     noiseDefault: false,
+    noiseProfileId: "clean",
+    allowCartOnly: true,
+    allowWindowSuggestions: true,
+    showWindowFeedback: true,
     cartMassKg: 0.5,
     padMassKg: 0.2,
+    counterMassKg: 0.25,
+    pulley: {
+      radiusM: 0.025,
+      inertiaKgM2: 0.000004,
+      frictionTorqueNm: 0.0001
+    },
+    forceSensor: {
+      offsetN: 0.04,
+      driftNPerS: 0.002,
+      resolutionN: 0.002,
+      rangeN: 10
+    },
     scenario: {
       cart_only: {
         dragN: 0.06,
@@ -36,6 +96,10 @@ export const PRESETS = Object.freeze([
       cart_plus_pad: {
         dragN: 1.05,
         startThresholdN: 0.95
+      },
+      full_atwood: {
+        dragN: 0.01,
+        startThresholdN: 0.005
       }
     }
   },
@@ -43,8 +107,24 @@ export const PRESETS = Object.freeze([
     id: "medium",
     label: "Medium Friction",
     noiseDefault: false,
+    noiseProfileId: "clean",
+    allowCartOnly: false,
+    allowWindowSuggestions: true,
+    showWindowFeedback: false,
     cartMassKg: 0.5,
     padMassKg: 0.22,
+    counterMassKg: 0.25,
+    pulley: {
+      radiusM: 0.025,
+      inertiaKgM2: 0.000006,
+      frictionTorqueNm: 0.0002
+    },
+    forceSensor: {
+      offsetN: 0.09,
+      driftNPerS: 0.004,
+      resolutionN: 0.005,
+      rangeN: 10
+    },
     scenario: {
       cart_only: {
         dragN: 0.09,
@@ -53,6 +133,10 @@ export const PRESETS = Object.freeze([
       cart_plus_pad: {
         dragN: 1.35,
         startThresholdN: 1.15
+      },
+      full_atwood: {
+        dragN: 0.02,
+        startThresholdN: 0.01
       }
     }
   },
@@ -60,8 +144,24 @@ export const PRESETS = Object.freeze([
     id: "high",
     label: "High Friction",
     noiseDefault: true,
+    noiseProfileId: "messy",
+    allowCartOnly: false,
+    allowWindowSuggestions: false,
+    showWindowFeedback: false,
     cartMassKg: 0.5,
     padMassKg: 0.24,
+    counterMassKg: 0.25,
+    pulley: {
+      radiusM: 0.025,
+      inertiaKgM2: 0.000009,
+      frictionTorqueNm: 0.0004
+    },
+    forceSensor: {
+      offsetN: 0.15,
+      driftNPerS: 0.006,
+      resolutionN: 0.01,
+      rangeN: 10
+    },
     scenario: {
       cart_only: {
         dragN: 0.12,
@@ -70,6 +170,90 @@ export const PRESETS = Object.freeze([
       cart_plus_pad: {
         dragN: 1.7,
         startThresholdN: 1.35
+      },
+      full_atwood: {
+        dragN: 0.03,
+        startThresholdN: 0.02
+      }
+    }
+  },
+  {
+    id: "coefficient",
+    label: "Coefficient Model (μ)",
+    noiseDefault: false,
+    noiseProfileId: "clean",
+    allowCartOnly: true,
+    allowWindowSuggestions: true,
+    showWindowFeedback: false,
+    cartMassKg: 0.5,
+    padMassKg: 0.22,
+    counterMassKg: 0.25,
+    pulley: {
+      radiusM: 0.025,
+      inertiaKgM2: 0.000006,
+      frictionTorqueNm: 0.0002
+    },
+    forceSensor: {
+      offsetN: 0.06,
+      driftNPerS: 0.003,
+      resolutionN: 0.005,
+      rangeN: 10
+    },
+    scenario: {
+      cart_only: {
+        muStatic: 0.016,
+        muKinetic: 0.013
+      },
+      cart_plus_pad: {
+        muStatic: 0.2,
+        muKinetic: 0.17
+      },
+      full_atwood: {
+        dragN: 0.02,
+        startThresholdN: 0.01
+      }
+    }
+  },
+  {
+    id: "velocity_drag",
+    label: "Eddy Brake + Air Sail",
+    noiseDefault: false,
+    noiseProfileId: "clean",
+    allowCartOnly: true,
+    allowWindowSuggestions: true,
+    showWindowFeedback: false,
+    cartMassKg: 0.5,
+    padMassKg: 0.2,
+    counterMassKg: 0.25,
+    pulley: {
+      radiusM: 0.025,
+      inertiaKgM2: 0.000004,
+      frictionTorqueNm: 0.0001
+    },
+    forceSensor: {
+      offsetN: 0.1,
+      driftNPerS: 0.005,
+      resolutionN: 0.005,
+      rangeN: 10
+    },
+    scenario: {
+      cart_only: {
+        dragN: 0.06,
+        startThresholdN: 0.04,
+        linearDragNsPerM: 0.5,
+        quadraticDragNs2PerM2: 0.4
+      },
+      cart_plus_pad: {
+        dragN: 1.05,
+        startThresholdN: 0.95,
+        linearDragNsPerM: 0.5,
+        quadraticDragNs2PerM2: 0.4
+      },
+      full_atwood: {
+        dragN: 0.01,
+        startThresholdN: 0.005,
+        linearDragNsPerM: 0.5,
+        quadraticDragNs2PerM2: 0.4
       }
     }
   }
@@ -88,10 +272,22 @@ export function getPresetById(presetId) {
   return preset;
 }
 
+/**
+ * @param {string} gravityId
+ * @returns {GravityPreset|null} Null for a custom value.
+ */
+export function getGravityPresetById(gravityId) {
+  return GRAVITY_PRESETS.find((item) => item.id === gravityId) ?? null;
+}
+
 /**
  * @param {ScenarioId} scenario
  * @returns {string}
  */
 export function scenarioTitle(scenario) {
+  if (scenario === "full_atwood") {
+    return "Full Atwood (Two Hanging Masses)";
+  }
+
   return scenario === "cart_plus_pad" ? "Cart + Friction Pad" : "Cart Only";
 }
@@ -1,11 +1,155 @@
 /**
+ * Uncertainties are NaN when there are too few points to estimate them
+ * (two points fit a line exactly and leave no degrees of freedom).
+ *
  * @typedef {Object} FitResult
  * @property {number} slope
  * @property {number} intercept
  * @property {number} r2
  * @property {number} count
+ * @property {number} residualStd Residual standard deviation, sqrt(SSR / (n - 2)).
+ * @property {number} slopeStdErr
+ * @property {number} interceptStdErr
+ * @property {number} slopeCi95 Half-width of the 95% confidence interval on the slope.
+ * @property {number} interceptCi95 Half-width of the 95% confidence interval on the intercept.
+ * @property {number} [reducedChiSquare] Weighted fits only: near 1 when the scatter matches the stated uncertainties.
  */
 
+/**
+ * Natural log of the gamma function (Lanczos approximation, g = 7).
+ *
+ * @param {number} x
+ * @returns {number}
+ */
+function logGamma(x) {
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+
+  const z = x - 1;
+  let sum = coefficients[0];
+  for (let index = 1; index < coefficients.length; index += 1) {
+    sum += coefficients[index] / (z + index);
+  }
+
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz).
+ *
+ * @param {number} a
+ * @param {number} b
+ * @param {number} x
+ * @returns {number}
+ */
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 300; m += 1) {
+    const m2 = 2 * m;
+    const even = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + even * d;
+    c = 1 + even / c;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = Math.abs(c) < tiny ? tiny : c;
+    result *= d * c;
+
+    const odd = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + odd * d;
+    c = 1 + odd / c;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = Math.abs(c) < tiny ? tiny : c;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < 1e-14) {
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b).
+ *
+ * @param {number} a
+ * @param {number} b
+ * @param {number} x
+ * @returns {number}
+ */
+function regularizedBeta(a, b, x) {
+  if (x <= 0) {
+    return 0;
+  }
+
+  if (x >= 1) {
+    return 1;
+  }
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/**
+ * Cumulative distribution of Student's t.
+ *
+ * @param {number} t
+ * @param {number} dof
+ * @returns {number}
+ */
+export function studentTCdf(t, dof) {
+  const tail = 0.5 * regularizedBeta(dof / 2, 0.5, dof / (dof + t * t));
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Two-sided critical value of Student's t, e.g. 2.228 for 95% with 10 degrees
+ * of freedom. Found by bisection on the CDF.
+ *
+ * @param {number} confidence Between 0 and 1, e.g. 0.95.
+ * @param {number} dof
+ * @returns {number} NaN when there are no degrees of freedom.
+ */
+export function studentTCritical(confidence, dof) {
+  if (!(dof > 0)) {
+    return Number.NaN;
+  }
+
+  const target = 0.5 + confidence / 2;
+  let low = 0;
+  let high = 1;
+  while (studentTCdf(high, dof) < target) {
+    high *= 2;
+  }
+
+  for (let step = 0; step < 100 && high - low > 1e-12 * high; step += 1) {
+    const middle = (low + high) / 2;
+    if (studentTCdf(middle, dof) < target) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
 /**
  * @param {number[]} values
  * @returns {number}
@@ -18,6 +162,22 @@ export function mean(values) {
   return values.reduce((sum, value) => sum + value, 0) / values.length;
 }
 
+/**
+ * Standard error of the mean, from the sample standard deviation.
+ *
+ * @param {number[]} values
+ * @returns {number} NaN with fewer than two values.
+ */
+export function standardError(values) {
+  if (values.length < 2) {
+    return Number.NaN;
+  }
+
+  const center = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - center) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance / values.length);
+}
+
 /**
  * @param {number[]} times
  * @param {number[]} values
@@ -101,11 +261,22 @@ export function linearRegression(x, y) {
 
   const r2 = sst === 0 ? 1 : 1 - residual / sst;
 
+  const dof = x.length - 2;
+  const residualStd = dof > 0 ? Math.sqrt(residual / dof) : Number.NaN;
+  const slopeStdErr = residualStd / Math.sqrt(ssxx);
+  const interceptStdErr = residualStd * Math.sqrt(1 / x.length + (xMean * xMean) / ssxx);
+  const tCritical = studentTCritical(0.95, dof);
+
   return {
     slope,
     intercept,
     r2,
-    count: x.length
+    count: x.length,
+    residualStd,
+    slopeStdErr,
+    interceptStdErr,
+    slopeCi95: tCritical * slopeStdErr,
+    interceptCi95: tCritical * interceptStdErr
   };
 }
 
@@ -120,3 +291,590 @@ export function linearRegressionInWindow(times, values, startS, endS) {
   const selected = sliceWindow(times, values, startS, endS);
   return linearRegression(selected.times, selected.values);
 }
+
+/** Externally studentized residuals beyond this are flagged as outliers. */
+export const STUDENTIZED_RESIDUAL_LIMIT = 2.5;
+
+/**
+ * How much one point disagrees with, and pulls on, an ordinary least-squares line.
+ *
+ * @typedef {Object} PointDiagnostics
+ * @property {number} residual y minus the fitted line.
+ * @property {number} leverage Hat value h; they sum to 2, so a point far out in x has well above 2/n.
+ * @property {number} studentizedResidual Residual over the scatter of the other points (externally studentized).
+ * @property {number} cooksDistance How far the fitted line moves when the point is left out.
+ * @property {boolean} outlier |studentizedResidual| above `STUDENTIZED_RESIDUAL_LIMIT`.
+ * @property {boolean} influential Cook's distance above 4/n.
+ */
+
+/**
+ * Leave-one-out diagnostics for the straight-line fit, in closed form from the
+ * hat values. Needs four points so the scatter without one point still has a
+ * degree of freedom.
+ *
+ * @param {number[]} x
+ * @param {number[]} y
+ * @returns {PointDiagnostics[]|null}
+ */
+export function linearDiagnostics(x, y) {
+  const n = x.length;
+  const fit = n >= 4 ? linearRegression(x, y) : null;
+  if (!fit) {
+    return null;
+  }
+
+  const xMean = mean(x);
+  const ssxx = x.reduce((sum, xi) => sum + (xi - xMean) ** 2, 0);
+  const variance = fit.residualStd * fit.residualStd;
+  const cooksLimit = 4 / n;
+
+  return x.map((xi, index) => {
+    const residual = y[index] - (fit.slope * xi + fit.intercept);
+    const leverage = 1 / n + ((xi - xMean) ** 2) / ssxx;
+    // Internally studentized, then rescaled to the scatter without this point.
+    const internal = variance > 0 ? residual / Math.sqrt(variance * (1 - leverage)) : 0;
+    // The rest lying exactly on a line leaves no scatter to compare against.
+    const spare = n - 2 - internal * internal;
+    const studentizedResidual = spare > 0 ? internal * Math.sqrt((n - 3) / spare) : Math.sign(internal) * Infinity;
+    const cooksDistance = (internal * internal * leverage) / (2 * (1 - leverage));
+
+    return {
+      residual,
+      leverage,
+      studentizedResidual,
+      cooksDistance,
+      outlier: Math.abs(studentizedResidual) > STUDENTIZED_RESIDUAL_LIMIT,
+      influential: cooksDistance > cooksLimit
+    };
+  });
+}
+
+/**
+ * Fills in the goodness-of-fit numbers for a weighted line. Standard errors
+ * come from the stated uncertainties, not from the scatter; the reduced
+ * chi-square says whether the two agree.
+ *
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {number[]} weights Effective weight of each point's residual in y.
+ * @param {{slope: number, intercept: number, slopeStdErr: number, interceptStdErr: number}} line
+ * @returns {FitResult}
+ */
+function summarizeWeightedFit(x, y, weights, line) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const yMean = weights.reduce((sum, weight, index) => sum + weight * y[index], 0) / totalWeight;
+
+  let chiSquare = 0;
+  let weightedTotal = 0;
+  let residual = 0;
+
+  for (let index = 0; index < x.length; index += 1) {
+    const difference = y[index] - (line.slope * x[index] + line.intercept);
+    chiSquare += weights[index] * difference * difference;
+    weightedTotal += weights[index] * (y[index] - yMean) ** 2;
+    residual += difference * difference;
+  }
+
+  const dof = x.length - 2;
+  const tCritical = studentTCritical(0.95, dof);
+
+  return {
+    ...line,
+    r2: weightedTotal === 0 ? 1 : 1 - chiSquare / weightedTotal,
+    count: x.length,
+    residualStd: dof > 0 ? Math.sqrt(residual / dof) : Number.NaN,
+    slopeCi95: tCritical * line.slopeStdErr,
+    interceptCi95: tCritical * line.interceptStdErr,
+    reducedChiSquare: dof > 0 ? chiSquare / dof : Number.NaN
+  };
+}
+
+/**
+ * Weighted least squares with known uncertainties in y only.
+ *
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {number[]} sigmaY Standard uncertainty of each y; must be positive.
+ * @returns {FitResult|null}
+ */
+export function weightedLinearRegression(x, y, sigmaY) {
+  if (x.length !== y.length || x.length !== sigmaY.length || x.length < 2) {
+    return null;
+  }
+
+  const weights = sigmaY.map((sigma) => 1 / (sigma * sigma));
+  let s = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let sxy = 0;
+
+  for (let index = 0; index < x.length; index += 1) {
+    const weight = weights[index];
+    s += weight;
+    sx += weight * x[index];
+    sy += weight * y[index];
+    sxx += weight * x[index] * x[index];
+    sxy += weight * x[index] * y[index];
+  }
+
+  const delta = s * sxx - sx * sx;
+  if (!(delta > 0)) {
+    return null;
+  }
+
+  return summarizeWeightedFit(x, y, weights, {
+    slope: (s * sxy - sx * sy) / delta,
+    intercept: (sxx * sy - sx * sxy) / delta,
+    slopeStdErr: Math.sqrt(s / delta),
+    interceptStdErr: Math.sqrt(sxx / delta)
+  });
+}
+
+/**
+ * York et al. (2004) straight-line fit with uncertainties in both x and y.
+ * With the same uncertainties on every point it reduces to Deming
+ * regression; with no x uncertainty it reduces to weighted least squares.
+ * The weights are written with variances rather than their inverses, so an
+ * exact axis can go in as a plain zero and the fit takes that limit itself.
+ *
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {number[]} sigmaX Standard uncertainty of each x; 0 for an exact value.
+ * @param {number[]} sigmaY Standard uncertainty of each y; 0 for an exact value,
+ *   but never together with a zero sigmaX.
+ * @param {{correlation?: number, tolerance?: number, maxIterations?: number}} [options]
+ *   `correlation` is the correlation between each point's x and y errors (0 by default).
+ * @returns {FitResult|null}
+ */
+export function yorkRegression(x, y, sigmaX, sigmaY, options = {}) {
+  const start = linearRegression(x, y);
+  if (!start || sigmaX.length !== x.length || sigmaY.length !== x.length) {
+    return null;
+  }
+
+  const r = options.correlation ?? 0;
+  const tolerance = options.tolerance ?? 1e-15;
+  const maxIterations = options.maxIterations ?? 100;
+  const varianceX = sigmaX.map((sigma) => sigma * sigma);
+  const varianceY = sigmaY.map((sigma) => sigma * sigma);
+  const covariance = sigmaX.map((sigma, index) => r * sigma * sigmaY[index]);
+
+  let slope = start.slope;
+  let weights = [];
+  let beta = [];
+  let xBar = 0;
+  let yBar = 0;
+
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    weights = varianceX.map((vx, index) => 1 / (varianceY[index] + slope * slope * vx - 2 * slope * covariance[index]));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    xBar = weights.reduce((sum, weight, index) => sum + weight * x[index], 0) / totalWeight;
+    yBar = weights.reduce((sum, weight, index) => sum + weight * y[index], 0) / totalWeight;
+
+    let numerator = 0;
+    let denominator = 0;
+    beta = x.map((xi, index) => {
+      const u = xi - xBar;
+      const v = y[index] - yBar;
+      const b = weights[index] * (u * varianceY[index] + slope * v * varianceX[index] - (slope * u + v) * covariance[index]);
+      numerator += weights[index] * b * v;
+      denominator += weights[index] * b * u;
+      return b;
+    });
+
+    const next = numerator / denominator;
+    const converged = Math.abs(next - slope) <= tolerance * Math.abs(next);
+    slope = next;
+
+    if (converged) {
+      break;
+    }
+  }
+
+  // Standard errors use the least-squares adjusted x positions.
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const adjustedMean = weights.reduce((sum, weight, index) => sum + weight * (xBar + beta[index]), 0) / totalWeight;
+  const spread = weights.reduce((sum, weight, index) => sum + weight * (xBar + beta[index] - adjustedMean) ** 2, 0);
+  const slopeStdErr = Math.sqrt(1 / spread);
+
+  return summarizeWeightedFit(x, y, weights, {
+    slope,
+    intercept: yBar - slope * xBar,
+    slopeStdErr,
+    interceptStdErr: Math.sqrt(1 / totalWeight + adjustedMean * adjustedMean * slopeStdErr * slopeStdErr)
+  });
+}
+
+/**
+ * @param {number|null|undefined} sigma
+ * @returns {boolean}
+ */
+function isKnownUncertainty(sigma) {
+  return typeof sigma === "number" && sigma > 0 && Number.isFinite(sigma);
+}
+
+/**
+ * Trend line by the chosen method. A zero or missing uncertainty is an exact
+ * value or a noise-free standard error rounded to zero, and weighting by it
+ * would claim a precision the data does not have. So when a weighted method
+ * lacks the uncertainties it needs, the line falls back to ordinary least
+ * squares, whose errors come from the scatter.
+ *
+ * @param {{x: number, y: number, xError?: number|null, yError?: number|null}[]} points
+ * @param {import("./state.js").FitMethod} method
+ * @returns {{fit: FitResult|null, method: import("./state.js").FitMethod}} `method` is the one actually used.
+ */
+export function fitTrendLine(points, method) {
+  const x = points.map((point) => point.x);
+  const y = points.map((point) => point.y);
+
+  if (method === "weighted" && points.every((point) => isKnownUncertainty(point.yError))) {
+    return { fit: weightedLinearRegression(x, y, points.map((point) => point.yError)), method };
+  }
+
+  // York only needs one uncertain axis per point; the other goes in as exact.
+  if (method === "york" && points.every((point) => isKnownUncertainty(point.xError) || isKnownUncertainty(point.yError))) {
+    const sigma = (value) => (isKnownUncertainty(value) ? value : 0);
+    return {
+      fit: yorkRegression(x, y, points.map((point) => sigma(point.xError)), points.map((point) => sigma(point.yError))),
+      method
+    };
+  }
+
+  return { fit: linearRegression(x, y), method: "ols" };
+}
+
+/**
+ * One candidate model in a side-by-side comparison. AIC uses the
+ * least-squares form n·ln(SSR/n) + 2k, so only differences between models
+ * fitted to the same points mean anything; lower is better.
+ *
+ * @typedef {Object} ModelFit
+ * @property {"origin" | "linear" | "quadratic"} id
+ * @property {string} label
+ * @property {number[]} coefficients Polynomial coefficients, constant term first.
+ * @property {number} parameterCount
+ * @property {number} count
+ * @property {number} r2 Against the mean of y for every model, so the through-origin fit can go negative.
+ * @property {number} adjustedR2
+ * @property {number} aic
+ * @property {number} residualRms sqrt(SSR / n), in the units of y.
+ */
+
+/**
+ * @param {number[]} coefficients Constant term first.
+ * @param {number} x
+ * @returns {number}
+ */
+export function evaluatePolynomial(coefficients, x) {
+  return coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0);
+}
+
+/**
+ * Least-squares slope for a line forced through the origin, y = b·x.
+ *
+ * @param {number[]} x
+ * @param {number[]} y
+ * @returns {{slope: number, slopeStdErr: number, count: number}|null}
+ */
+export function proportionalRegression(x, y) {
+  if (x.length !== y.length || x.length < 1) {
+    return null;
+  }
+
+  let sxx = 0;
+  let sxy = 0;
+  for (let index = 0; index < x.length; index += 1) {
+    sxx += x[index] * x[index];
+    sxy += x[index] * y[index];
+  }
+
+  if (sxx === 0) {
+    return null;
+  }
+
+  const slope = sxy / sxx;
+  const residual = x.reduce((sum, xi, index) => sum + (y[index] - slope * xi) ** 2, 0);
+  const dof = x.length - 1;
+
+  return {
+    slope,
+    slopeStdErr: dof > 0 ? Math.sqrt(residual / dof / sxx) : Number.NaN,
+    count: x.length
+  };
+}
+
+/**
+ * Least-squares parabola y = c0 + c1·x + c2·x². Solved about the mean of x
+ * to keep the normal equations well conditioned.
+ *
+ * @param {number[]} x
+ * @param {number[]} y
+ * @returns {number[]|null} [c0, c1, c2], or null with fewer than three distinct x values.
+ */
+export function quadraticRegression(x, y) {
+  if (x.length !== y.length || x.length < 3) {
+    return null;
+  }
+
+  const center = mean(x);
+  const sums = [0, 0, 0, 0, 0];
+  const moments = [0, 0, 0];
+
+  for (let index = 0; index < x.length; index += 1) {
+    const u = x[index] - center;
+    let power = 1;
+    for (let order = 0; order < 5; order += 1) {
+      sums[order] += power;
+      if (order < 3) {
+        moments[order] += power * y[index];
+      }
+      power *= u;
+    }
+  }
+
+  const matrix = [
+    [sums[0], sums[1], sums[2]],
+    [sums[1], sums[2], sums[3]],
+    [sums[2], sums[3], sums[4]]
+  ];
+  const determinant = (m) => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+    - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+    + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const full = determinant(matrix);
+
+  // Zero (up to rounding) when x takes fewer than three distinct values.
+  if (Math.abs(full) <= 1e-12 * sums[0] * sums[2] * sums[4]) {
+    return null;
+  }
+
+  // Cramer's rule for the coefficients in u = x - center.
+  const [a0, a1, a2] = [0, 1, 2].map((column) => determinant(
+    matrix.map((row, rowIndex) => row.map((value, columnIndex) => (columnIndex === column ? moments[rowIndex] : value)))
+  ) / full);
+
+  return [a0 - a1 * center + a2 * center * center, a1 - 2 * a2 * center, a2];
+}
+
+/**
+ * @param {ModelFit["id"]} id
+ * @param {string} label
+ * @param {number[]} coefficients
+ * @param {number} parameterCount Fitted coefficients; the origin line's fixed zero does not count.
+ * @param {number[]} x
+ * @param {number[]} y
+ * @returns {ModelFit}
+ */
+function summarizeModel(id, label, coefficients, parameterCount, x, y) {
+  const n = x.length;
+  const yMean = mean(y);
+  let residual = 0;
+  let total = 0;
+
+  for (let index = 0; index < n; index += 1) {
+    residual += (y[index] - evaluatePolynomial(coefficients, x[index])) ** 2;
+    total += (y[index] - yMean) ** 2;
+  }
+
+  const r2 = total === 0 ? 1 : 1 - residual / total;
+
+  return {
+    id,
+    label,
+    coefficients,
+    parameterCount,
+    count: n,
+    r2,
+    adjustedR2: n > parameterCount ? 1 - ((1 - r2) * (n - 1)) / (n - parameterCount) : Number.NaN,
+    aic: n * Math.log(residual / n) + 2 * parameterCount,
+    residualRms: Math.sqrt(residual / n)
+  };
+}
+
+/**
+ * Fits the candidate models students argue about: a line through the origin,
+ * a line with an intercept and a parabola. A model is left out until there
+ * are more points than it has parameters.
+ *
+ * @param {number[]} x
+ * @param {number[]} y
+ * @returns {ModelFit[]}
+ */
+export function compareModels(x, y) {
+  const models = [];
+
+  const origin = x.length >= 2 ? proportionalRegression(x, y) : null;
+  if (origin) {
+    models.push(summarizeModel("origin", "Line through origin", [0, origin.slope], 1, x, y));
+  }
+
+  const linear = x.length >= 3 ? linearRegression(x, y) : null;
+  if (linear) {
+    models.push(summarizeModel("linear", "Line with intercept", [linear.intercept, linear.slope], 2, x, y));
+  }
+
+  const quadratic = x.length >= 4 ? quadraticRegression(x, y) : null;
+  if (quadratic) {
+    models.push(summarizeModel("quadratic", "Quadratic", quadratic, 3, x, y));
+  }
+
+  return models;
+}
+
+/**
+ * Centered moving average. Near the ends the window shrinks so it stays
+ * centered and the trace does not lag.
+ *
+ * @param {number[]} values
+ * @param {number} windowSize Odd number of samples.
+ * @returns {number[]}
+ */
+export function movingAverage(values, windowSize) {
+  if (windowSize < 1 || windowSize % 2 === 0) {
+    throw new Error(`Moving-average window must be a positive odd number of samples, got ${windowSize}`);
+  }
+
+  const half = (windowSize - 1) / 2;
+  const prefix = [0];
+  for (const value of values) {
+    prefix.push(prefix[prefix.length - 1] + value);
+  }
+
+  return values.map((_value, index) => {
+    const reach = Math.min(half, index, values.length - 1 - index);
+    return (prefix[index + reach + 1] - prefix[index - reach]) / (2 * reach + 1);
+  });
+}
+
+/**
+ * Inverts a small square matrix by Gauss-Jordan elimination with partial pivoting.
+ *
+ * @param {number[][]} matrix
+ * @returns {number[][]}
+ */
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const rows = matrix.map((row, rowIndex) => [...row, ...row.map((_value, column) => (column === rowIndex ? 1 : 0))]);
+
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    const scale = rows[column][column];
+    rows[column] = rows[column].map((value) => value / scale);
+
+    for (let row = 0; row < size; row += 1) {
+      if (row !== column) {
+        const factor = rows[row][column];
+        rows[row] = rows[row].map((value, index) => value - factor * rows[column][index]);
+      }
+    }
+  }
+
+  return rows.map((row) => row.slice(size));
+}
+
+/**
+ * Savitzky-Golay filter: fits a polynomial to each window by least squares
+ * and reads off its value, or a derivative, at the sample. Unlike a moving
+ * average it keeps the height of peaks and the slope of ramps. The first and
+ * last half-window use the polynomial fitted to the first and last full
+ * window, so the output is as long as the input. Assumes even sampling.
+ *
+ * @param {number[]} values
+ * @param {{windowSize: number, polyOrder: number, derivative?: number, sampleIntervalS?: number}} options
+ *   `derivative` 0 smooths, 1 gives the first derivative and so on, per `sampleIntervalS`.
+ * @returns {number[]} All NaN when there are too few samples for the polynomial.
+ */
+export function savitzkyGolay(values, options) {
+  const { polyOrder } = options;
+  const derivative = options.derivative ?? 0;
+  const sampleIntervalS = options.sampleIntervalS ?? 1;
+
+  if (options.windowSize % 2 === 0 || options.windowSize <= polyOrder) {
+    throw new Error(`Savitzky-Golay window must be odd and longer than the polynomial order, got ${options.windowSize}`);
+  }
+
+  // Short traces get the longest odd window that fits.
+  const windowSize = Math.min(options.windowSize, values.length % 2 ? values.length : values.length - 1);
+  if (windowSize <= polyOrder) {
+    return values.map(() => Number.NaN);
+  }
+
+  const half = (windowSize - 1) / 2;
+  const offsets = Array.from({ length: windowSize }, (_value, index) => index - half);
+  const design = offsets.map((offset) => Array.from({ length: polyOrder + 1 }, (_value, power) => offset ** power));
+  const normal = Array.from({ length: polyOrder + 1 }, (_row, i) => Array.from(
+    { length: polyOrder + 1 },
+    (_column, j) => design.reduce((sum, row) => sum + row[i] * row[j], 0)
+  ));
+  const inverse = invertMatrix(normal);
+  // Row k of (JᵀJ)⁻¹Jᵀ turns a window of samples into the coefficient of offset^k.
+  const projection = inverse.map((row) => design.map((designRow) => designRow.reduce((sum, value, k) => sum + row[k] * value, 0)));
+
+  // Weights for the derivative of the fitted polynomial at each position in the window.
+  const weightsAt = offsets.map((at) => offsets.map((_offset, sample) => {
+    let weight = 0;
+    for (let power = derivative; power <= polyOrder; power += 1) {
+      let factor = 1;
+      for (let step = 0; step < derivative; step += 1) {
+        factor *= power - step;
+      }
+      weight += projection[power][sample] * factor * at ** (power - derivative);
+    }
+    return weight;
+  }));
+  const scale = sampleIntervalS ** derivative;
+
+  return values.map((_value, index) => {
+    const start = Math.min(Math.max(index - half, 0), values.length - windowSize);
+    const weights = weightsAt[index - start];
+    let sum = 0;
+    for (let sample = 0; sample < windowSize; sample += 1) {
+      sum += weights[sample] * values[start + sample];
+    }
+    return sum / scale;
+  });
+}
+
+/**
+ * Central-difference derivative, one-sided at the ends.
+ *
+ * @param {number[]} times
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+export function centralDifference(times, values) {
+  const last = values.length - 1;
+
+  return values.map((_value, index) => {
+    const before = Math.max(0, index - 1);
+    const after = Math.min(last, index + 1);
+    return after === before ? 0 : (values[after] - values[before]) / (times[after] - times[before]);
+  });
+}
+
+/**
+ * Running integral by the trapezoidal rule.
+ *
+ * @param {number[]} times
+ * @param {number[]} values
+ * @param {number} [initial] Value of the integral at the first sample.
+ * @returns {number[]}
+ */
+export function cumulativeTrapezoid(times, values, initial = 0) {
+  let total = initial;
+
+  return values.map((value, index) => {
+    if (index > 0) {
+      total += 0.5 * (times[index] - times[index - 1]) * (value + values[index - 1]);
+    }
+    return total;
+  });
+}
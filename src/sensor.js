@@ -0,0 +1,96 @@
+/**
+ * @typedef {import("./presets.js").ForceSensorConfig} ForceSensorConfig
+ */
+
+/** A perfect sensor: reads the true force with no offset, drift, steps or limit. */
+export const IDEAL_FORCE_SENSOR = Object.freeze({
+  offsetN: 0,
+  driftNPerS: 0,
+  resolutionN: 0,
+  rangeN: Number.POSITIVE_INFINITY
+});
+
+/**
+ * @param {number} value
+ * @param {number} resolution
+ * @returns {number}
+ */
+export function quantize(value, resolution) {
+  if (resolution <= 0) {
+    return value;
+  }
+
+  return Math.round(value / resolution) * resolution;
+}
+
+/**
+ * What the force sensor reports for a given force on its hook: the zero offset
+ * and drift are added first, then the reading clips at the range limit and is
+ * rounded to the ADC step.
+ *
+ * @param {ForceSensorConfig} sensor
+ * @param {number} forceN
+ * @param {number} timeS Time since the sensor started logging; drift grows with it.
+ * @returns {number}
+ */
+export function readForceSensor(sensor, forceN, timeS) {
+  const raw = forceN + sensor.offsetN + sensor.driftNPerS * timeS;
+  const clipped = Math.min(sensor.rangeN, Math.max(-sensor.rangeN, raw));
+  return quantize(clipped, sensor.resolutionN);
+}
+
+/**
+ * @param {ForceSensorConfig} sensor
+ * @param {number} readingN
+ * @returns {boolean}
+ */
+export function isSaturated(sensor, readingN) {
+  return Math.abs(readingN) >= sensor.rangeN;
+}
+
+/**
+ * @typedef {Object} MotionDetectorConfig
+ * @property {number} standoffM Gap between the detector and the tracked mass at the end of its path.
+ * @property {number} minRangeM Closer than this the echo returns before the detector is listening, so it holds its last reading.
+ * @property {number} echoSpikeProbability Chance per sample of locking onto a spurious nearer echo.
+ * @property {number} resolutionM Readings are rounded to a multiple of this.
+ */
+
+/** Classroom ultrasonic motion detector mounted just past the end of the path. */
+export const SONAR_MOTION_DETECTOR = Object.freeze({
+  standoffM: 0.05,
+  minRangeM: 0.15,
+  echoSpikeProbability: 0.015,
+  resolutionM: 0.003
+});
+
+/**
+ * Turns true displacements into what a sonar motion detector reports. The
+ * detector faces back along the path, so readings are converted back to
+ * displacement from the start position.
+ *
+ * @param {MotionDetectorConfig} detector
+ * @param {number[]} displacementsM
+ * @param {number} pathLengthM
+ * @param {() => number} rng Uniform random numbers in [0, 1).
+ * @returns {number[]}
+ */
+export function readMotionDetector(detector, displacementsM, pathLengthM, rng) {
+  const detectorM = pathLengthM + detector.standoffM;
+  let lastGoodM = 0;
+
+  return displacementsM.map((displacementM) => {
+    let readingM = displacementM;
+
+    if (detectorM - displacementM < detector.minRangeM) {
+      readingM = lastGoodM;
+    } else if (rng() < detector.echoSpikeProbability) {
+      // A nearer reflector (hand, table edge) answers first.
+      readingM = Math.min(detectorM, displacementM + 0.1 + 0.4 * rng());
+    } else {
+      lastGoodM = displacementM;
+    }
+
+    return quantize(readingM, detector.resolutionM);
+  });
+}
@@ -1,73 +1,61 @@
+import { createChannelNoise, createGaussian, createRng, getNoiseProfileById } from "./noise.js";
+import { pathLengthM } from "./physics.js";
+import { centralDifference } from "./regression.js";
+import { isSaturated, readForceSensor, readMotionDetector } from "./sensor.js";
+import { buildTrajectory, trajectoryStateAt } from "./trajectory.js";
+
 /**
  * @typedef {import("./physics.js").TrialPhysics} TrialPhysics
  */
 
 /**
- * @typedef {Object} SignalPhases
- * @property {number} initialStartS
- * @property {number} accelStartS
- * @property {number} accelEndS
- * @property {number} stopEndS
+ * @typedef {import("./trajectory.js").TrajectoryPhases} SignalPhases
+ * @typedef {import("./trajectory.js").EndStopImpact} EndStopImpact
  */
 
 /**
  * @typedef {Object} TrialSignals
+ * @property {number} sampleRateHz
+ * @property {number} durationS Logging length; the last sample lands at or just before it.
  * @property {number[]} timesS
  * @property {number[]} forceN
  * @property {number[]} velocityMps
+ * @property {number[]} positionM Displacement from the start, as the motion detector reports it.
+ * @property {number[]} accelerationMps2 Cart-mounted accelerometer, zeroed at rest.
  * @property {{startS: number, endS: number}|null} motionWindow
- * @property {SignalPhases} phases
+ * @property {import("./trajectory.js").Trajectory} trajectory The motion every channel was sampled from.
+ * @property {SignalPhases} phases Same as `trajectory.phases`.
+ * @property {EndStopImpact|null} impact Same as `trajectory.impact`.
+ * @property {boolean} forceSaturated Whether any force reading hit the sensor's range limit.
  */
 
-/**
- * @param {number} value
- * @param {number} min
- * @param {number} max
- * @returns {number}
- */
-function clamp(value, min, max) {
-  return Math.min(max, Math.max(min, value));
-}
+/** Force-sensor jolt per m/s of impact speed when the cart slams into the end stop. */
+const IMPACT_SPIKE_N_PER_MPS = 1.2;
 
-/**
- * @param {number} seed
- * @returns {() => number}
- */
-function createRng(seed) {
-  let state = seed >>> 0;
-
-  return () => {
-    state += 0x6d2b79f5;
-    let t = state;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
+/** Wheel rumble picked up by the accelerometer, in m/s^2 per m/s of speed. */
+const ACCEL_VIBRATION_PER_MPS = 0.08;
 
 /**
- * @param {number} presetSeed
+ * @param {number} seed
  * @param {boolean} noiseEnabled
  * @returns {(scale: number) => number}
  */
-function buildNoiseSampler(presetSeed, noiseEnabled) {
+function buildNoiseSampler(seed, noiseEnabled) {
   if (!noiseEnabled) {
     return () => 0;
   }
 
-  const rng = createRng(presetSeed);
-
-  return (scale) => {
-    const u1 = clamp(rng(), 1e-8, 1 - 1e-8);
-    const u2 = rng();
-    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return z * scale;
-  };
+  return createGaussian(createRng(seed));
 }
 
 /**
  * @param {TrialPhysics} physics
- * @param {{noiseEnabled: boolean, seed: number, durationS?: number, sampleRateHz?: number}} options
+ * @param {{noiseEnabled: boolean, seed: number, noiseProfile?: import("./noise.js").NoiseProfile, durationS?: number, sampleRateHz?: number, integrator?: boolean, forceSensor?: import("./sensor.js").ForceSensorConfig, motionDetector?: import("./sensor.js").MotionDetectorConfig, velocityFromPosition?: boolean}} options
+ *   `noiseProfile` shapes the force and velocity noise when it is enabled (white only by default).
+ *   `durationS` and `integrator` are passed on to `buildTrajectory`.
+ *   Without `forceSensor` the force channel is an ideal sensor (noise only); without
+ *   `motionDetector` the position channel is free of sonar artifacts.
+ *   `velocityFromPosition` differentiates the position channel, as a real motion detector does.
  * @returns {TrialSignals}
  */
 export function generateTrialSignals(physics, options) {
@@ -75,101 +63,125 @@ export function generateTrialSignals(physics, options) {
   const sampleRateHz = options.sampleRateHz ?? 60;
   const count = Math.floor(durationS * sampleRateHz) + 1;
 
-  const noise = buildNoiseSampler(options.seed, options.noiseEnabled);
+  // Force and velocity share one generator, drawing in that order each sample.
+  const rng = createRng(options.seed);
+  const gaussian = createGaussian(rng);
+  const noiseProfile = options.noiseProfile ?? getNoiseProfileById("clean");
+  const forceNoise = options.noiseEnabled ? createChannelNoise(noiseProfile.force, rng, gaussian) : (value) => value;
+  const velocityNoise = options.noiseEnabled ? createChannelNoise(noiseProfile.velocity, rng, gaussian) : (value) => value;
+  // Own streams, so the position and accelerometer channels leave the force and
+  // velocity noise as it was.
+  const positionNoise = buildNoiseSampler(options.seed + 1, options.noiseEnabled);
+  const vibrationNoise = buildNoiseSampler(options.seed + 3, options.noiseEnabled);
+
+  const trajectory = buildTrajectory(physics, { durationS, integrator: options.integrator });
+  const { phases, impact } = trajectory;
 
   const timesS = [];
   const forceN = [];
   const velocityMps = [];
-
-  const initialStartS = 0;
-  const accelStartS = 0.7;
-  const accelDurationS = physics.moved
-    ? clamp((physics.travelTimeS ?? 1.8) * 0.8, 1.1, 2.0)
-    : 0;
-  const accelEndS = physics.moved
-    ? clamp(accelStartS + accelDurationS, 1.8, durationS - 1.2)
-    : accelStartS;
-  const rampWindowS = physics.moved ? Math.min(0.24, Math.max(0.12, 0.14 * accelDurationS)) : 0;
-  const linearStartS = accelStartS + rampWindowS;
-  const linearEndS = accelEndS - rampWindowS;
-  const stopDurationS = physics.moved ? 0.45 : 0;
-  const stopEndS = physics.moved
-    ? clamp(accelEndS + stopDurationS, accelEndS + 0.35, durationS - 0.35)
-    : accelStartS + 0.35;
-
-  const peakVelocity = physics.moved ? physics.accelerationMps2 * (accelEndS - accelStartS) : 0;
+  const trueVelocityMps = [];
+  const truePositionM = [];
+  let forceSaturated = false;
 
   for (let index = 0; index < count; index += 1) {
     const t = index / sampleRateHz;
+    const state = trajectoryStateAt(trajectory, t);
 
-    let force = 0;
-    let velocity = 0;
+    // The trajectory is the true motion; what follows is how each sensor
+    // responds to it (string ringing, jolts, buzz) before noise.
+    let force = state.tensionN;
+    let velocity = state.velocityMps;
 
     if (physics.moved) {
-      if (t < accelStartS) {
-        const phaseRatio = t / accelStartS;
-        force = physics.tensionN * (0.15 + 0.85 * phaseRatio) + 0.01 * Math.sin(8 * t);
-        velocity = 0.004 * Math.sin(9 * t);
-      } else if (t <= accelEndS) {
-        const dt = t - accelStartS;
-        const oscillation = 0.035 * Math.exp(-3 * dt) * Math.sin(14 * dt);
-        force = physics.tensionN + oscillation;
-        if (t < linearStartS) {
-          // Smooth ramp into near-constant acceleration.
-          const u = clamp((t - accelStartS) / rampWindowS, 0, 1);
-          velocity = 0.5 * physics.accelerationMps2 * rampWindowS * u * u;
-        } else if (t <= linearEndS) {
-          const vRamp = 0.5 * physics.accelerationMps2 * rampWindowS;
-          velocity = vRamp + physics.accelerationMps2 * (t - linearStartS);
-        } else {
-          // Smooth ramp out of acceleration to avoid an unrealistic sharp peak.
-          const u = clamp((t - linearEndS) / rampWindowS, 0, 1);
-          const vRamp = 0.5 * physics.accelerationMps2 * rampWindowS;
-          const vLinear = vRamp + physics.accelerationMps2 * (linearEndS - linearStartS);
-          velocity = vLinear + physics.accelerationMps2 * rampWindowS * (u - 0.5 * u * u);
+      if (t < phases.accelStartS) {
+        force += 0.01 * Math.sin(8 * t);
+        velocity += 0.004 * Math.sin(9 * t);
+      } else if (t <= phases.accelEndS) {
+        const dt = t - phases.accelStartS;
+        force += 0.035 * Math.exp(-3 * dt) * Math.sin(14 * dt);
+      } else if (phases.landS !== null && t <= phases.coastEndS) {
+        // String is slack: the sensor reads ~0 apart from the jolt of landing.
+        const dt = t - phases.landS;
+        force += 0.04 * Math.sin(22 * dt) * Math.exp(-7 * dt);
+      } else if (impact) {
+        const dt = t - impact.timeS;
+        // Jolts from the cart hitting the stop, or from the string snapping taut
+        // under the full Atwood's counter mass.
+        const { impactOffsetsS, impactSpeedsMps } = impact.bounce ?? impact.floorLanding;
+
+        for (let hit = 0; hit < impactOffsetsS.length; hit += 1) {
+          const since = dt - impactOffsetsS[hit];
+          if (since >= 0) {
+            force += IMPACT_SPIKE_N_PER_MPS * impactSpeedsMps[hit] * Math.exp(-35 * since) * Math.cos(55 * since);
+          }
         }
-      } else if (t <= stopEndS) {
-        const dt = t - accelEndS;
-        const ratio = clamp(dt / stopDurationS, 0, 1);
-        velocity = peakVelocity * Math.exp(-3.2 * dt);
-        force = (1 - ratio) * physics.tensionN * 0.7 + 0.03 * Math.sin(18 * dt) * Math.exp(-4 * dt);
       } else {
-        const dt = t - stopEndS;
-        velocity = 0.002 * Math.sin(11 * dt) * Math.exp(-4 * dt);
-        force = 0.01 * Math.sin(14 * dt) * Math.exp(-4 * dt);
+        const dt = t - phases.stopEndS;
+        velocity += 0.002 * Math.sin(11 * dt) * Math.exp(-4 * dt);
+        force += 0.01 * Math.sin(14 * dt) * Math.exp(-4 * dt);
       }
 
-      force += noise(0.01);
-      velocity += noise(0.006);
+      force = forceNoise(force, t);
+      velocity = velocityNoise(velocity, t);
     } else {
+      // A stalled cart buzzes against static friction but barely moves.
       const pulse = Math.sin(10 * t) > 0.82 ? 1 : 0;
-      force = physics.pullingForceN * (0.9 + 0.05 * Math.sin(3.8 * t)) + pulse * 0.04;
+      force = state.tensionN * (0.9 + 0.05 * Math.sin(3.8 * t)) + pulse * 0.04;
       velocity = (pulse ? 0.015 : 0) + 0.003 * Math.sin(11 * t);
 
-      force += noise(0.015);
-      velocity += noise(0.003);
+      force = forceNoise(force, t, 1.5);
+      velocity = velocityNoise(velocity, t, 0.5);
+    }
+
+    if (options.forceSensor) {
+      force = readForceSensor(options.forceSensor, force, t);
+      if (isSaturated(options.forceSensor, force)) {
+        forceSaturated = true;
+      }
     }
 
     timesS.push(t);
     forceN.push(force);
     velocityMps.push(velocity);
+    trueVelocityMps.push(state.velocityMps);
+    truePositionM.push(state.positionM + positionNoise(0.0005));
   }
 
+  // The accelerometer is zeroed at rest, so it reads the kinematic acceleration
+  // plus wheel and track vibration that grows with speed. It differentiates the
+  // sampled velocity rather than reading the trajectory's acceleration so the
+  // end-stop impacts, which are instantaneous in the model, still show up as
+  // spikes as wide as one sample.
+  const accelerationMps2 = centralDifference(timesS, trueVelocityMps).map((value, index) => {
+    const speed = Math.abs(trueVelocityMps[index]);
+    const t = timesS[index];
+    return value
+      + ACCEL_VIBRATION_PER_MPS * speed * Math.sin(2 * Math.PI * 9.3 * t)
+      + vibrationNoise(0.03 + 0.12 * speed);
+  });
+
+  const positionM = options.motionDetector
+    ? readMotionDetector(options.motionDetector, truePositionM, pathLengthM(physics.config), createRng(options.seed + 2))
+    : truePositionM;
+
   return {
+    sampleRateHz,
+    durationS,
     timesS,
     forceN,
-    velocityMps,
+    velocityMps: options.velocityFromPosition ? centralDifference(timesS, positionM) : velocityMps,
+    positionM,
+    accelerationMps2,
     motionWindow: physics.moved
       ? {
-          startS: accelStartS,
-          endS: accelEndS
+          startS: phases.accelStartS,
+          endS: phases.accelEndS
         }
       : null,
-    phases: {
-      initialStartS,
-      accelStartS,
-      accelEndS,
-      stopEndS
-    }
+    trajectory,
+    phases,
+    impact,
+    forceSaturated
   };
 }
@@ -3,12 +3,38 @@
  * @typedef {import("./signals.js").TrialSignals} TrialSignals
  */
 
+/**
+ * "hanger_only" varies the hanging mass alone; "constant_total" moves slotted
+ * masses between the cart and the hanger so the total mass stays fixed;
+ * "vary_cart" keeps the hanging mass and loads the cart instead.
+ *
+ * @typedef {"hanger_only" | "constant_total" | "vary_cart"} MassMode
+ */
+
+/**
+ * @typedef {"ols" | "weighted" | "york"} FitMethod
+ */
+
+/**
+ * Second trace drawn over the time graphs. The smoothed modes smooth each
+ * channel; the derived modes put dx/dt on the velocity graph, dv/dt on the
+ * accelerometer graph and the running integral of v on the position graph.
+ *
+ * @typedef {"none" | "moving_average" | "savitzky_golay" | "central_difference" | "savitzky_golay_derivative"} OverlayMode
+ */
+
 /**
  * @typedef {Object} TrialMeasurement
  * @property {{startS: number, endS: number}|null} forceWindow
  * @property {{startS: number, endS: number}|null} velocityWindow
+ * @property {{startS: number, endS: number}|null} positionWindow
+ * @property {{startS: number, endS: number}|null} accelerometerWindow
  * @property {number|null} forceMeanN
- * @property {number|null} accelerationMps2
+ * @property {number|null} forceStdErrN Standard error of that mean.
+ * @property {number|null} accelerationMps2 Slope of the velocity window.
+ * @property {number|null} accelerationStdErrMps2 Standard error of that slope.
+ * @property {number|null} accelerometerMeanMps2 Mean accelerometer reading in its window.
+ * @property {number|null} derivativeMeanMps2 Mean central-difference dv/dt over the velocity window.
  */
 
 /**
@@ -17,34 +43,70 @@
  * @property {string} preset
  * @property {number} trial_id
  * @property {number} hanging_mass_kg
- * @property {number} force_mean_N
+ * @property {MassMode} mass_mode
+ * @property {number} cart_added_mass_kg
+ * @property {number} cart_mass_kg Cart plus any added mass (pad excluded).
+ * @property {number} total_mass_kg Sensor-side mass plus the hanging mass, pulley excluded.
+ * @property {string} gravity_body
+ * @property {number} gravity_mps2
+ * @property {number|null} track_angle_deg Blank for the full Atwood, which has no track.
+ * @property {number|null} drop_height_m
+ * @property {number} bumper_restitution
+ * @property {number} sample_rate_hz
+ * @property {number} duration_s
+ * @property {number} force_mean_N Mean tension in the window, with the tare already subtracted.
+ * @property {number|null} force_se_N Standard error of the window mean.
+ * @property {number} tare_N
  * @property {number} accel_mps2
+ * @property {number|null} accel_se_mps2 Standard error of the velocity-window slope.
  * @property {boolean} moved
  * @property {number} force_window_start_s
  * @property {number} force_window_end_s
  * @property {number} vel_window_start_s
  * @property {number} vel_window_end_s
  * @property {boolean} noise_enabled
+ * @property {string} class_code
+ * @property {string} group_name
+ * @property {number} seed
  * @property {string} timestamp_iso
  */
 
 /**
  * @typedef {Object} CurrentTrial
  * @property {number} id
+ * @property {number} seed Noise seed, derived from the class code, group and trial settings.
  * @property {TrialPhysics} physics
  * @property {TrialSignals} signals
  */
 
 /**
  * @typedef {Object} AppState
- * @property {"cart_only" | "cart_plus_pad"} scenario
+ * @property {string} classCode Teacher-supplied code; with the group name it makes each group's data distinct.
+ * @property {string} groupName
+ * @property {import("./presets.js").ScenarioId} scenario
  * @property {string} presetId
  * @property {number} hangingMassKg
+ * @property {MassMode} massMode
+ * @property {number} slottedPoolKg Total slotted mass shared between the cart and the hanger.
+ * @property {number} cartLoadKg Mass added to the cart in the mass-vs-acceleration part.
+ * @property {string} gravityId A gravity preset id, or "custom" to use customGravityMps2.
+ * @property {number} customGravityMps2
+ * @property {number} trackAngleDeg
+ * @property {number|null} dropHeightM
+ * @property {number} bumperRestitution
+ * @property {number} sampleRateHz Logging rate for every channel, 10-1000 Hz.
+ * @property {number} trialDurationS How long each trial logs for.
+ * @property {number|null} tareN Force-sensor zero recorded by Tare; null until the sensor is zeroed.
  * @property {boolean} noiseEnabled
+ * @property {boolean} sonarArtifacts Minimum range, echo spikes and coarse steps on the position channel.
+ * @property {boolean} velocityFromPosition Derive velocity from the position channel instead of an ideal velocity sensor.
  * @property {boolean} showFbd
+ * @property {FitMethod} fitMethod How the trend line treats each trial's uncertainties.
+ * @property {OverlayMode} overlay
  * @property {CurrentTrial|null} currentTrial
  * @property {TrialMeasurement} measurement
  * @property {TrialRecord[]} trialRecords
+ * @property {import("./windowQuality.js").WindowFeedback|null} windowFeedback For the last trial added, when the preset shows window feedback.
  * @property {number} nextTrialId
  */
 
@@ -55,8 +117,14 @@ function defaultMeasurement() {
   return {
     forceWindow: null,
     velocityWindow: null,
+    positionWindow: null,
+    accelerometerWindow: null,
     forceMeanN: null,
-    accelerationMps2: null
+    forceStdErrN: null,
+    accelerationMps2: null,
+    accelerationStdErrMps2: null,
+    accelerometerMeanMps2: null,
+    derivativeMeanMps2: null
   };
 }
 
@@ -65,14 +133,32 @@ function defaultMeasurement() {
  */
 function createInitialState() {
   return {
+    classCode: "",
+    groupName: "",
     scenario: "cart_only",
     presetId: "low",
     hangingMassKg: 0.1,
+    massMode: "hanger_only",
+    slottedPoolKg: 0.6,
+    cartLoadKg: 0,
+    gravityId: "earth",
+    customGravityMps2: 9.81,
+    trackAngleDeg: 0,
+    dropHeightM: null,
+    bumperRestitution: 0,
+    sampleRateHz: 60,
+    trialDurationS: 4.5,
+    tareN: null,
     noiseEnabled: false,
+    sonarArtifacts: false,
+    velocityFromPosition: false,
     showFbd: true,
+    fitMethod: "ols",
+    overlay: "none",
     currentTrial: null,
     measurement: defaultMeasurement(),
     trialRecords: [],
+    windowFeedback: null,
     nextTrialId: 1
   };
 }
@@ -0,0 +1,288 @@
+import { integrateMotion, motionValueAt } from "./integrator.js";
+import {
+  bounceStateAt,
+  computeEndStopBounce,
+  computeFloorLanding,
+  floorLandingStateAt,
+  hasVelocityDependentDrag,
+  pathLengthM
+} from "./physics.js";
+
+/**
+ * @typedef {import("./physics.js").TrialPhysics} TrialPhysics
+ */
+
+/**
+ * @typedef {Object} TrajectoryPhases
+ * @property {number} initialStartS
+ * @property {number} accelStartS
+ * @property {number} rampEndS End of the smooth ramp-in, after which acceleration is constant.
+ * @property {number} releaseS Equivalent clean-release time for the constant-acceleration part.
+ * @property {number} accelEndS
+ * @property {number|null} landS When the hanging mass hits the floor, if it does during the trial.
+ * @property {number|null} coastEndS When the coast after landing ends (cart at rest or out of track).
+ * @property {number|null} impactS When the cart first hits the end stop (or the full Atwood's heavy mass
+ *   the floor), if it gets there during the trial.
+ * @property {number|null} settleS When everything is finally at rest after bouncing.
+ * @property {number} stopEndS
+ */
+
+/**
+ * @typedef {Object} EndStopImpact
+ * @property {number} timeS
+ * @property {number} speedMps
+ * @property {import("./physics.js").EndStopBounce|null} bounce The cart's rebound; null in the full Atwood.
+ * @property {import("./physics.js").FloorLanding|null} floorLanding Full Atwood only: the heavy mass on the floor
+ *   and the counter mass bouncing on the string.
+ */
+
+/**
+ * The one description of how the cart moves during a trial. Sensor channels
+ * and the machine animation all sample it, so they cannot drift apart.
+ *
+ * @typedef {Object} Trajectory
+ * @property {TrialPhysics} physics
+ * @property {number} durationS
+ * @property {TrajectoryPhases} phases
+ * @property {EndStopImpact|null} impact
+ * @property {import("./integrator.js").IntegratedMotion|null} motion RK4 pull phase, when speed-dependent drag is on.
+ */
+
+/**
+ * Along the track (or up the counter mass's path), positive toward the pulley.
+ *
+ * @typedef {Object} TrajectoryState
+ * @property {number} positionM Displacement from the start position.
+ * @property {number} velocityMps
+ * @property {number} accelerationMps2
+ * @property {number} tensionN Cart-side string tension; 0 while the string is slack.
+ */
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Velocity during the pull, from the start of the ramp-in until the pull ends.
+ *
+ * @param {Pick<Trajectory, "physics" | "phases" | "motion">} trajectory
+ * @param {number} timeS
+ * @returns {number}
+ */
+function pullVelocityMps({ physics, phases, motion }, timeS) {
+  if (motion) {
+    // Speed-dependent drag bends the velocity curve, so read it from the
+    // integrated motion instead of the constant-acceleration ramp.
+    return motionValueAt(motion, "velocityMps", timeS - phases.releaseS);
+  }
+
+  const rampS = phases.rampEndS - phases.accelStartS;
+  if (timeS < phases.rampEndS) {
+    // Smooth ramp into near-constant acceleration.
+    const u = clamp((timeS - phases.accelStartS) / rampS, 0, 1);
+    return 0.5 * physics.accelerationMps2 * rampS * u * u;
+  }
+
+  return physics.accelerationMps2 * (timeS - phases.releaseS);
+}
+
+/**
+ * Acceleration during the pull; the derivative of `pullVelocityMps`.
+ *
+ * @param {Pick<Trajectory, "physics" | "phases" | "motion">} trajectory
+ * @param {number} timeS
+ * @returns {number}
+ */
+function pullAccelerationMps2({ physics, phases, motion }, timeS) {
+  if (motion) {
+    return motionValueAt(motion, "accelerationMps2", timeS - phases.releaseS);
+  }
+
+  if (timeS < phases.rampEndS) {
+    return physics.accelerationMps2 * clamp((timeS - phases.accelStartS) / (phases.rampEndS - phases.accelStartS), 0, 1);
+  }
+
+  return physics.accelerationMps2;
+}
+
+/**
+ * Distance covered during the pull; the integral of `pullVelocityMps`.
+ *
+ * @param {Pick<Trajectory, "physics" | "phases" | "motion">} trajectory
+ * @param {number} timeS
+ * @returns {number}
+ */
+function pullDisplacementM({ physics, phases, motion }, timeS) {
+  if (motion) {
+    return motionValueAt(motion, "positionM", timeS - phases.releaseS);
+  }
+
+  const a = physics.accelerationMps2;
+  const rampS = phases.rampEndS - phases.accelStartS;
+  const sinceS = Math.max(0, timeS - phases.accelStartS);
+
+  if (sinceS < rampS) {
+    return (a * sinceS * sinceS * sinceS) / (6 * rampS);
+  }
+
+  return 0.5 * a * (sinceS - rampS / 2) ** 2 + (a * rampS * rampS) / 24;
+}
+
+/**
+ * Works out when each phase of the trial starts and ends: hold, pull, then
+ * either a coast after the hanging mass lands or a hit on the end stop.
+ *
+ * @param {TrialPhysics} physics
+ * @param {{durationS?: number, integrator?: boolean}} [options]
+ *   `integrator` forces the RK4 pull; by default it is only used when the preset has speed-dependent drag.
+ * @returns {Trajectory}
+ */
+export function buildTrajectory(physics, options = {}) {
+  const durationS = options.durationS ?? 4.5;
+  const initialStartS = 0;
+  const accelStartS = 0.7;
+
+  // The pull lasts until the hanging mass lands or the cart reaches the end of
+  // its path, whichever comes first.
+  const pullDurationS = physics.moved
+    ? physics.coast?.landingTimeS ?? physics.travelTimeS
+    : 0;
+  const lands = physics.coast !== null;
+  const rampWindowS = physics.moved
+    ? Math.min(0.24, Math.max(0.12, 0.14 * pullDurationS), pullDurationS / 3)
+    : 0;
+  const useIntegrator = physics.moved && (options.integrator ?? hasVelocityDependentDrag(physics.config));
+
+  // The smooth ramp-in lags a clean release at accelStartS by half the ramp, so
+  // the effective release is shifted to keep speeds on the closed-form physics.
+  const releaseS = useIntegrator ? accelStartS : accelStartS + rampWindowS / 2;
+  const rampEndS = useIntegrator ? accelStartS : accelStartS + rampWindowS;
+  const accelEndS = physics.moved ? Math.min(releaseS + pullDurationS, durationS) : accelStartS;
+  const motion = useIntegrator
+    ? integrateMotion(physics, { durationS: accelEndS - releaseS })
+    : null;
+
+  const pullEndVelocity = physics.moved
+    ? pullVelocityMps({ physics, phases: { accelStartS, rampEndS, releaseS }, motion }, accelEndS)
+    : 0;
+  const pullCompleted = physics.moved && accelEndS < durationS;
+
+  const landS = lands && pullCompleted ? accelEndS : null;
+  const coastDecelerationMps2 = landS !== null ? physics.coast.decelerationMps2 : 0;
+  const coastEndS = landS !== null ? Math.min(landS + physics.coast.durationS, durationS) : null;
+
+  let impact = null;
+  if (pullCompleted && !lands) {
+    impact = { timeS: accelEndS, speedMps: pullEndVelocity };
+  } else if (landS !== null && physics.coast.reachesPathEnd && coastEndS < durationS) {
+    impact = { timeS: coastEndS, speedMps: pullEndVelocity - coastDecelerationMps2 * (coastEndS - landS) };
+  }
+
+  // The full Atwood's path ends with the heavy mass on the floor, not the cart on a stop.
+  const isFullAtwood = physics.config.scenario === "full_atwood";
+  const bounce = impact && !isFullAtwood
+    ? computeEndStopBounce(physics, impact.speedMps, { stringTaut: landS === null })
+    : null;
+  const floorLanding = impact && isFullAtwood ? computeFloorLanding(physics, impact.speedMps) : null;
+  const impactS = impact ? impact.timeS : null;
+  const settleS = impact ? Math.min(impact.timeS + (bounce ?? floorLanding).settleOffsetS, durationS) : null;
+
+  let stopEndS = accelStartS + 0.35;
+  if (impact) {
+    stopEndS = Math.min(settleS + 0.35, durationS);
+  } else if (coastEndS !== null) {
+    stopEndS = coastEndS;
+  } else if (physics.moved) {
+    stopEndS = accelEndS;
+  }
+
+  return {
+    physics,
+    durationS,
+    phases: { initialStartS, accelStartS, rampEndS, releaseS, accelEndS, landS, coastEndS, impactS, settleS, stopEndS },
+    impact: impact ? { ...impact, bounce, floorLanding } : null,
+    motion
+  };
+}
+
+/**
+ * Exact state of the cart at any trial time. Past the end of the trial the
+ * state holds at its last value.
+ *
+ * @param {Trajectory} trajectory
+ * @param {number} atS
+ * @returns {TrajectoryState}
+ */
+export function trajectoryStateAt(trajectory, atS) {
+  const { physics, phases, impact, motion } = trajectory;
+  const timeS = Math.min(atS, trajectory.durationS);
+
+  if (!physics.moved) {
+    // Static friction holds the cart, so the string carries the full hanging weight.
+    return { positionM: 0, velocityMps: 0, accelerationMps2: 0, tensionN: physics.pullingForceN };
+  }
+
+  if (timeS < phases.accelStartS) {
+    // Tension builds while the hanger is eased onto the string.
+    const tensionN = physics.tensionN * (0.15 + 0.85 * (timeS / phases.accelStartS));
+    return { positionM: 0, velocityMps: 0, accelerationMps2: 0, tensionN };
+  }
+
+  const pathM = pathLengthM(physics.config);
+
+  if (timeS <= phases.accelEndS) {
+    return {
+      positionM: Math.min(pullDisplacementM(trajectory, timeS), pathM),
+      velocityMps: pullVelocityMps(trajectory, timeS),
+      accelerationMps2: pullAccelerationMps2(trajectory, timeS),
+      tensionN: motion ? motionValueAt(motion, "tensionN", Math.max(0, timeS - phases.releaseS)) : physics.tensionN
+    };
+  }
+
+  if (impact?.floorLanding && timeS >= impact.timeS) {
+    const state = floorLandingStateAt(impact.floorLanding, timeS - impact.timeS);
+    return { ...state, positionM: pathM + state.positionM };
+  }
+
+  if (impact && timeS >= impact.timeS) {
+    const { bounce } = impact;
+    const dt = timeS - impact.timeS;
+    const state = bounceStateAt(bounce, dt);
+
+    let tensionN = physics.tensionN;
+    if (state.outbound) {
+      tensionN = bounce.reboundTensionN;
+    } else if (dt >= bounce.settleOffsetS) {
+      // Resting against the stop the hanging mass still hangs from the string;
+      // after a landing the string is slack.
+      tensionN = phases.landS === null ? physics.pullingForceN : 0;
+    }
+
+    return {
+      positionM: pathM - state.offsetM,
+      velocityMps: state.velocityMps,
+      accelerationMps2: state.accelerationMps2,
+      tensionN
+    };
+  }
+
+  // The hanging mass has landed, so the string is slack and friction slows the cart.
+  const pullDistanceM = Math.min(pullDisplacementM(trajectory, phases.accelEndS), pathM);
+  const landingSpeedMps = pullVelocityMps(trajectory, phases.landS);
+  const decelerationMps2 = physics.coast.decelerationMps2;
+  const coastDt = Math.min(timeS, phases.coastEndS) - phases.landS;
+  const velocityMps = Math.max(0, landingSpeedMps - decelerationMps2 * coastDt);
+
+  return {
+    positionM: Math.min(pullDistanceM + landingSpeedMps * coastDt - 0.5 * decelerationMps2 * coastDt * coastDt, pathM),
+    velocityMps: timeS <= phases.coastEndS ? velocityMps : 0,
+    accelerationMps2: timeS <= phases.coastEndS && velocityMps > 0 ? -decelerationMps2 : 0,
+    tensionN: 0
+  };
+}
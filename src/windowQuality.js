@@ -0,0 +1,90 @@
+/**
+ * @typedef {import("./trajectory.js").TrajectoryPhases} TrajectoryPhases
+ */
+
+/**
+ * How a selected window splits across the phases of the trial, in seconds.
+ *
+ * @typedef {Object} WindowOverlap
+ * @property {number} widthS
+ * @property {number} preMotionS Before the cart is released.
+ * @property {number} rampS During the ramp-in, while the acceleration is still building.
+ * @property {number} steadyS During the steady pull.
+ * @property {number} stopS After the pull: landing, coasting, end-stop hits and rest.
+ */
+
+/**
+ * @typedef {Object} WindowFeedback
+ * @property {number} trialId
+ * @property {WindowOverlap} force
+ * @property {WindowOverlap} velocity
+ * @property {number} forceMeanN
+ * @property {number} modelTensionN
+ * @property {number} forcePercentError NaN when the model value is zero.
+ * @property {number} accelerationMps2
+ * @property {number} modelAccelerationMps2
+ * @property {number} accelerationPercentError NaN when the model value is zero.
+ */
+
+/**
+ * @param {number} startS
+ * @param {number} endS
+ * @param {number} fromS
+ * @param {number} toS
+ * @returns {number}
+ */
+function overlapS(startS, endS, fromS, toS) {
+  return Math.max(0, Math.min(endS, toS) - Math.max(startS, fromS));
+}
+
+/**
+ * @param {TrajectoryPhases} phases
+ * @param {{startS: number, endS: number}} window
+ * @returns {WindowOverlap}
+ */
+export function windowOverlap(phases, window) {
+  const startS = Math.min(window.startS, window.endS);
+  const endS = Math.max(window.startS, window.endS);
+
+  return {
+    widthS: endS - startS,
+    preMotionS: overlapS(startS, endS, Number.NEGATIVE_INFINITY, phases.accelStartS),
+    rampS: overlapS(startS, endS, phases.accelStartS, phases.rampEndS),
+    steadyS: overlapS(startS, endS, phases.rampEndS, phases.accelEndS),
+    stopS: overlapS(startS, endS, phases.accelEndS, Number.POSITIVE_INFINITY)
+  };
+}
+
+/**
+ * @param {number} measured
+ * @param {number} expected
+ * @returns {number}
+ */
+export function percentError(measured, expected) {
+  return expected === 0 ? Number.NaN : ((measured - expected) / Math.abs(expected)) * 100;
+}
+
+/**
+ * Compares a trial's windows and results with what the model knows: where the
+ * steady pull really was and the tension and acceleration it had.
+ *
+ * @param {number} trialId
+ * @param {import("./trajectory.js").Trajectory} trajectory
+ * @param {{forceWindow: {startS: number, endS: number}, velocityWindow: {startS: number, endS: number}, forceMeanN: number, accelerationMps2: number}} measured
+ * @returns {WindowFeedback}
+ */
+export function assessWindows(trialId, trajectory, measured) {
+  const { physics, phases } = trajectory;
+
+  return {
+    trialId,
+    force: windowOverlap(phases, measured.forceWindow),
+    velocity: windowOverlap(phases, measured.velocityWindow),
+    forceMeanN: measured.forceMeanN,
+    modelTensionN: physics.tensionN,
+    forcePercentError: percentError(measured.forceMeanN, physics.tensionN),
+    accelerationMps2: measured.accelerationMps2,
+    modelAccelerationMps2: physics.accelerationMps2,
+    accelerationPercentError: percentError(measured.accelerationMps2, physics.accelerationMps2)
+  };
+}
@@ -0,0 +1,162 @@
+import { linearRegression, mean, sliceWindow } from "./regression.js";
+
+/**
+ * @typedef {Object} SuggestWindowOptions
+ * @property {number} [minWidthS] Shortest window worth suggesting.
+ * @property {number} [minPoints] Fewest samples a window may hold.
+ * @property {number} [stepS] Spacing of the window edges searched, rounded to whole samples.
+ * @property {number} [minSpeedGainMps] How much the cart must speed up across the window.
+ * @property {number} [forceToleranceN] Scatter allowed about a flat force on top of the measured noise.
+ * @property {number} [velocityToleranceMps] Scatter allowed about a straight velocity line on top of the measured noise.
+ */
+
+/** Median absolute deviation of a Gaussian, in standard deviations. */
+const MAD_PER_STD = 0.6745;
+
+/**
+ * Noise level of a sampled signal, from the median size of its second
+ * differences. Anything linear in time cancels out of them and the median
+ * ignores the odd spike, so it can be read straight off a whole trace.
+ *
+ * @param {number[]} values
+ * @returns {number}
+ */
+export function estimateNoiseStd(values) {
+  const curvature = [];
+  for (let index = 1; index < values.length - 1; index += 1) {
+    curvature.push(Math.abs(values[index + 1] - 2 * values[index] + values[index - 1]));
+  }
+
+  if (!curvature.length) {
+    return 0;
+  }
+
+  curvature.sort((a, b) => a - b);
+  const middle = Math.floor(curvature.length / 2);
+  const median = curvature.length % 2 ? curvature[middle] : (curvature[middle - 1] + curvature[middle]) / 2;
+
+  // A second difference of white noise has six times its variance.
+  return median / (MAD_PER_STD * Math.sqrt(6));
+}
+
+/**
+ * Residual test for one channel over one window. The scatter about the model
+ * must stay within the tolerance, and so must the mean residual of each third
+ * of the window; a bend (the ramp-in, the start of a bounce) leaves the thirds
+ * off to alternate sides even when the overall scatter looks fine.
+ *
+ * @param {{times: number[], values: number[]}} selected
+ * @param {{slope: number, intercept: number}} model
+ * @param {number} noiseStd
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+function residualsPass(selected, model, noiseStd, tolerance) {
+  const residuals = selected.values.map((value, index) => value - (model.slope * selected.times[index] + model.intercept));
+  const rms = Math.sqrt(mean(residuals.map((residual) => residual * residual)));
+
+  if (rms > 1.5 * noiseStd + tolerance) {
+    return false;
+  }
+
+  const third = Math.floor(residuals.length / 3);
+  const thirdLimit = (3 * noiseStd) / Math.sqrt(third) + tolerance;
+
+  return [0, third, residuals.length - third].every(
+    (start) => Math.abs(mean(residuals.slice(start, start + third))) <= thirdLimit
+  );
+}
+
+/**
+ * Searches for the longest window where the cart is speeding up steadily: the
+ * velocity is a straight line with a positive slope and the force is flat.
+ * Window edges live on a grid. Each start grows its window until a residual
+ * test fails, and a later start only has to beat the best window so far, so
+ * the search stays quick at high sample rates. `sliceWindow` does the
+ * selection just as it does for a dragged window.
+ *
+ * @param {number[]} timesS
+ * @param {number[]} forceN
+ * @param {number[]} velocityMps
+ * @param {SuggestWindowOptions} [options]
+ * @returns {{startS: number, endS: number}|null} Null when no window passes, e.g. the cart never moved.
+ */
+export function suggestSteadyWindow(timesS, forceN, velocityMps, options = {}) {
+  if (timesS.length < 3) {
+    return null;
+  }
+
+  const minWidthS = options.minWidthS ?? 0.12;
+  const minPoints = options.minPoints ?? 6;
+  const minSpeedGainMps = options.minSpeedGainMps ?? 0.05;
+  const forceToleranceN = options.forceToleranceN ?? 0.01;
+  const velocityToleranceMps = options.velocityToleranceMps ?? 0.005;
+  const sampleS = timesS[1] - timesS[0];
+  const stride = Math.max(1, Math.round((options.stepS ?? 0.02) / sampleS));
+  const stepS = stride * sampleS;
+
+  const forceNoise = estimateNoiseStd(forceN);
+  const velocityNoise = estimateNoiseStd(velocityMps);
+
+  const lastS = timesS[timesS.length - 1];
+  // Edges sit on sample times, so a suggestion selects exactly the samples it names.
+  const edges = timesS.filter((_time, index) => index % stride === 0);
+
+  /**
+   * @param {number} startS
+   * @param {number} endS
+   * @returns {"fail" | "steady" | "too_short" | "too_slow" | "stalled"}
+   *   "stalled" means that even kept up until the end of the trace it would not speed up enough.
+   */
+  const testWindow = (startS, endS) => {
+    const velocity = sliceWindow(timesS, velocityMps, startS, endS);
+    if (velocity.times.length < minPoints) {
+      return "too_short";
+    }
+
+    const line = linearRegression(velocity.times, velocity.values);
+    if (!line || !residualsPass(velocity, line, velocityNoise, velocityToleranceMps)) {
+      return "fail";
+    }
+
+    const force = sliceWindow(timesS, forceN, startS, endS);
+    if (!residualsPass(force, { slope: 0, intercept: mean(force.values) }, forceNoise, forceToleranceN)) {
+      return "fail";
+    }
+
+    // Straight and flat is not enough: a cart at rest, buzzing against
+    // friction or coasting to a stop must not count as steady acceleration.
+    const neededMps = Math.max(minSpeedGainMps, 10 * velocityNoise);
+    if (line.slope * (endS - startS) >= neededMps) {
+      return "steady";
+    }
+    return line.slope * (lastS - startS) >= neededMps ? "too_slow" : "stalled";
+  };
+
+  let best = null;
+
+  for (let startIndex = 0; startIndex < edges.length; startIndex += 1) {
+    const startS = edges[startIndex];
+    const mustExceedS = Math.max(minWidthS, best ? best.endS - best.startS + stepS / 2 : 0);
+
+    let endIndex = startIndex + 1;
+    while (endIndex < edges.length && edges[endIndex] - startS < mustExceedS) {
+      endIndex += 1;
+    }
+
+    // Grow until the residuals give out. A window that is too short to test,
+    // or straight and flat but not yet sped up enough, keeps growing without
+    // being recorded.
+    for (; endIndex < edges.length; endIndex += 1) {
+      const result = testWindow(startS, edges[endIndex]);
+      if (result === "fail" || result === "stalled") {
+        break;
+      }
+      if (result === "steady") {
+        best = { startS, endS: edges[endIndex] };
+      }
+    }
+  }
+
+  return best;
+}
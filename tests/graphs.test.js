@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { TimeSeriesGraph, clampView, zoomView } from "../src/graphs.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+const FULL = { startS: 0, endS: 4.5 };
+
+test("a view is kept inside the trial without losing its span", () => {
+  assert.deepEqual(clampView({ startS: -0.5, endS: 0.5 }, FULL), { startS: 0, endS: 1 });
+  assert.deepEqual(clampView({ startS: 4, endS: 5 }, FULL), { startS: 3.5, endS: 4.5 });
+  assert.deepEqual(clampView({ startS: 2, endS: 1 }, FULL), { startS: 1, endS: 2 });
+  nearlyEqual(clampView({ startS: 1, endS: 1.001 }, FULL).endS - 1, 0.05);
+  assert.equal(clampView({ startS: -1, endS: 6 }, FULL), null);
+});
+
+test("zooming keeps the anchor time where it was on screen", () => {
+  const view = { startS: 1, endS: 3 };
+  const zoomed = zoomView(view, 1.5, 4, FULL);
+
+  nearlyEqual(zoomed.endS - zoomed.startS, 0.5);
+  nearlyEqual((1.5 - zoomed.startS) / (zoomed.endS - zoomed.startS), (1.5 - view.startS) / (view.endS - view.startS));
+
+  assert.equal(zoomView(zoomed, 2, 1 / 100, FULL), null);
+  nearlyEqual(zoomView(zoomed, 2, 1000, FULL).endS - zoomView(zoomed, 2, 1000, FULL).startS, 0.05);
+});
+
+test("pixel and time conversions invert each other at every zoom level", () => {
+  let view = { startS: FULL.startS, endS: FULL.endS };
+
+  for (let step = 0; step < 12; step += 1) {
+    const graph = {
+      bounds: { xMin: view.startS, xMax: view.endS, plotLeft: 74, plotRight: 940, plotTop: 30, plotBottom: 322 }
+    };
+    const toPx = (timeS) => TimeSeriesGraph.prototype.xToPx.call(graph, timeS);
+    const toTime = (px) => TimeSeriesGraph.prototype.pxToX.call(graph, px);
+
+    nearlyEqual(toPx(view.startS), 74);
+    nearlyEqual(toPx(view.endS), 940);
+    for (const px of [74, 200, 507, 940]) {
+      nearlyEqual(toPx(toTime(px)), px, 1e-6);
+    }
+
+    view = zoomView(view, 1.3, 1.6, FULL) ?? FULL;
+  }
+
+  assert.ok(view.endS - view.startS < 0.06);
+});
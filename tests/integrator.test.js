@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { integrateMotion, motionValueAt, rk4Step, timeToTravelM } from "../src/integrator.js";
+import { computeTrialPhysics, TRACK_LENGTH_M } from "../src/physics.js";
+import { generateTrialSignals } from "../src/signals.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+test("rk4Step integrates exponential decay to fourth-order accuracy", () => {
+  let state = [1];
+  const dt = 0.1;
+
+  for (let step = 0; step < 10; step += 1) {
+    state = rk4Step((_t, [y]) => [-y], step * dt, state, dt);
+  }
+
+  nearlyEqual(state[0], Math.exp(-1), 1e-6);
+});
+
+test("integrator matches the closed-form constant-acceleration physics", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "medium",
+    hangingMassKg: 0.5
+  });
+
+  const motion = integrateMotion(physics, { durationS: 1.5 });
+  const a = physics.accelerationMps2;
+
+  for (const t of [0.25, 0.8, 1.5]) {
+    nearlyEqual(motionValueAt(motion, "velocityMps", t), a * t, 1e-9);
+    nearlyEqual(motionValueAt(motion, "positionM", t), 0.5 * a * t * t, 1e-6);
+    nearlyEqual(motionValueAt(motion, "tensionN", t), physics.tensionN, 1e-9);
+  }
+
+  nearlyEqual(timeToTravelM(physics, TRACK_LENGTH_M), physics.travelTimeS, 1e-6);
+});
+
+test("integrator follows the analytic solution for linear drag", () => {
+  const base = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+
+  const b = 0.8;
+  const physics = {
+    ...base,
+    config: {
+      ...base.config,
+      linearDragNsPerM: b,
+      quadraticDragNs2PerM2: 0
+    }
+  };
+
+  const motion = integrateMotion(physics, { durationS: 2 });
+  const m = physics.totalAcceleratedMassKg;
+  const terminal = physics.netForceN / b;
+
+  for (const t of [0.2, 1, 2]) {
+    nearlyEqual(motionValueAt(motion, "velocityMps", t), terminal * (1 - Math.exp((-b * t) / m)), 1e-7);
+  }
+});
+
+test("speed-dependent drag presets produce a bending velocity curve", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "velocity_drag",
+    hangingMassKg: 0.4
+  });
+
+  const signals = generateTrialSignals(physics, { noiseEnabled: false, seed: 3 });
+  const { accelStartS, accelEndS } = signals.phases;
+  const slopeNear = (t) => {
+    const index = signals.timesS.findIndex((time) => time >= t);
+    return (signals.velocityMps[index + 1] - signals.velocityMps[index - 1])
+      / (signals.timesS[index + 1] - signals.timesS[index - 1]);
+  };
+
+  const earlySlope = slopeNear(accelStartS + 0.1);
+  const lateSlope = slopeNear(accelEndS - 0.1);
+
+  assert.ok(physics.travelTimeS > Math.sqrt((2 * TRACK_LENGTH_M) / physics.accelerationMps2));
+  assert.ok(earlySlope <= physics.accelerationMps2);
+  assert.ok(lateSlope < 0.75 * earlySlope, `Expected ${lateSlope} to be well below ${earlySlope}`);
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createChannelNoise, createGaussian, createRng, deriveTrialSeed, getNoiseProfileById } from "../src/noise.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+/**
+ * @param {import("../src/noise.js").ChannelNoise} channel
+ * @param {number} seed
+ * @param {number} count
+ * @returns {number[]}
+ */
+function sampleChannel(channel, seed, count) {
+  const rng = createRng(seed);
+  const apply = createChannelNoise(channel, rng, createGaussian(rng));
+  return Array.from({ length: count }, (_value, index) => apply(1, index / 60));
+}
+
+function standardDeviation(values) {
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+}
+
+test("a white-only channel matches plain Gaussian samples", () => {
+  const samples = sampleChannel({ whiteStd: 0.01 }, 5, 50);
+  const gaussian = createGaussian(createRng(5));
+
+  samples.forEach((value) => nearlyEqual(value, 1 + gaussian(0.01)));
+});
+
+test("the same seed gives the same messy noise", () => {
+  const { force } = getNoiseProfileById("messy");
+  assert.deepEqual(sampleChannel(force, 11, 300), sampleChannel(force, 11, 300));
+});
+
+test("colored noise is scaled to its requested standard deviation", () => {
+  const pink = sampleChannel({ whiteStd: 0, pinkStd: 0.05 }, 3, 20000);
+  const brown = sampleChannel({ whiteStd: 0, brownStd: 0.05 }, 3, 20000);
+
+  assert.ok(Math.abs(standardDeviation(pink) - 0.05) < 0.015);
+  assert.ok(Math.abs(standardDeviation(brown) - 0.05) < 0.015);
+});
+
+test("dropouts read zero for their full length and spikes stand out", () => {
+  const dropouts = sampleChannel({ whiteStd: 0, dropoutProbability: 0.05, dropoutSamples: 3 }, 9, 2000);
+  const firstZero = dropouts.indexOf(0);
+  assert.ok(firstZero >= 0);
+  assert.deepEqual(dropouts.slice(firstZero, firstZero + 3), [0, 0, 0]);
+
+  const spikes = sampleChannel({ whiteStd: 0, spikeProbability: 0.05, spikeAmplitude: 0.5 }, 9, 2000);
+  const spiked = spikes.filter((value) => value !== 1);
+  assert.ok(spiked.length > 0);
+  spiked.forEach((value) => assert.ok(Math.abs(value - 1) >= 0.25 && Math.abs(value - 1) <= 0.5));
+});
+
+test("trial seeds are stable for a group and distinct between groups", () => {
+  const key = {
+    classCode: "PHYS-2B",
+    groupName: "Table 3",
+    trialId: 1,
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.1
+  };
+
+  const seed = deriveTrialSeed(key);
+
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+  assert.equal(deriveTrialSeed({ ...key, classCode: " phys-2b ", groupName: "table  3" }), seed);
+  assert.notEqual(deriveTrialSeed({ ...key, groupName: "Table 4" }), seed);
+  assert.notEqual(deriveTrialSeed({ ...key, classCode: "PHYS-2C" }), seed);
+  assert.notEqual(deriveTrialSeed({ ...key, trialId: 2 }), seed);
+  assert.notEqual(deriveTrialSeed({ ...key, hangingMassKg: 0.15 }), seed);
+});
@@ -1,7 +1,13 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { computeTrialPhysics } from "../src/physics.js";
+import {
+  computeEndStopBounce,
+  computeFullAtwoodPhysics,
+  computeTrialPhysics,
+  constantTotalSlope,
+  getScenarioConfig
+} from "../src/physics.js";
 
 function nearlyEqual(actual, expected, tolerance = 1e-9) {
   assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
@@ -16,7 +22,8 @@ test("cart_only uses configured drag and returns expected acceleration", () => {
 
   assert.equal(result.moved, true);
   nearlyEqual(result.pullingForceN, 0.4 * 9.81);
-  nearlyEqual(result.accelerationMps2, (0.4 * 9.81 - 0.06) / (0.5 + 0.4));
+  const { pulleyFrictionN, pulleyEffectiveMassKg } = result.config;
+  nearlyEqual(result.accelerationMps2, (0.4 * 9.81 - 0.06 - pulleyFrictionN) / (0.5 + 0.4 + pulleyEffectiveMassKg));
   nearlyEqual(result.tensionN, result.config.systemMassKg * result.accelerationMps2 + result.config.dragN);
 });
 
@@ -50,3 +57,359 @@ test("cart_plus_pad has lower acceleration than cart_only under same hanging mas
   assert.ok(withPad.accelerationMps2 < cartOnly.accelerationMps2);
   assert.ok(withPad.config.systemMassKg > cartOnly.config.systemMassKg);
 });
+
+test("pulley inertia and bearing friction split the tension across the pulley", () => {
+  const result = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "high",
+    hangingMassKg: 0.3
+  });
+
+  const { config } = result;
+  nearlyEqual(config.pulleyEffectiveMassKg, config.pulleyInertiaKgM2 / config.pulleyRadiusM ** 2);
+  nearlyEqual(config.pulleyFrictionN, config.pulleyFrictionTorqueNm / config.pulleyRadiusM);
+  assert.ok(config.pulleyEffectiveMassKg > 0);
+
+  // Torque balance on the wheel: (T_hanging - T_cart) r = I a / r + tau.
+  nearlyEqual(
+    result.hangingTensionN - result.tensionN,
+    config.pulleyEffectiveMassKg * result.accelerationMps2 + config.pulleyFrictionN
+  );
+
+  const idealAcceleration = (0.3 * 9.81 - config.dragN) / (config.systemMassKg + 0.3);
+  assert.ok(result.accelerationMps2 < idealAcceleration);
+});
+
+test("coefficient friction presets scale drag and threshold with the normal force", () => {
+  const cartOnly = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "coefficient",
+    hangingMassKg: 0.3
+  });
+
+  const withPad = computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "coefficient",
+    hangingMassKg: 0.3
+  });
+
+  for (const result of [cartOnly, withPad]) {
+    const { config } = result;
+    assert.equal(config.frictionModel, "coefficient");
+    nearlyEqual(config.normalForceN, config.systemMassKg * 9.81);
+    nearlyEqual(config.dragN, config.muKinetic * config.normalForceN);
+    nearlyEqual(config.startThresholdN, config.muStatic * config.normalForceN);
+  }
+});
+
+test("constant-force presets keep their configured drag", () => {
+  const result = computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "medium",
+    hangingMassKg: 0.4
+  });
+
+  assert.equal(result.config.frictionModel, "constant");
+  assert.equal(result.config.muKinetic, null);
+  nearlyEqual(result.config.dragN, 1.35);
+  nearlyEqual(result.config.startThresholdN, 1.15);
+});
+
+test("track angle adds the weight component along the track", () => {
+  const level = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+
+  const uphill = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3,
+    trackAngleDeg: 5
+  });
+
+  const downhill = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3,
+    trackAngleDeg: -5
+  });
+
+  const angleRad = (5 * Math.PI) / 180;
+  nearlyEqual(uphill.config.gravityAlongTrackN, 0.5 * 9.81 * Math.sin(angleRad));
+  nearlyEqual(uphill.config.normalForceN, 0.5 * 9.81 * Math.cos(angleRad));
+  assert.equal(level.config.gravityAlongTrackN, 0);
+  assert.ok(uphill.accelerationMps2 < level.accelerationMps2);
+  assert.ok(downhill.accelerationMps2 > level.accelerationMps2);
+  nearlyEqual(
+    uphill.tensionN,
+    uphill.config.systemMassKg * uphill.accelerationMps2 + uphill.config.dragN + uphill.config.gravityAlongTrackN
+  );
+});
+
+test("a downhill tilt can balance drag so tension equals cart mass times acceleration", () => {
+  const balancedAngleDeg = (-Math.asin(0.06 / (0.5 * 9.81)) * 180) / Math.PI;
+  const result = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.2,
+    trackAngleDeg: balancedAngleDeg
+  });
+
+  assert.equal(result.moved, true);
+  nearlyEqual(result.tensionN, result.config.systemMassKg * result.accelerationMps2);
+});
+
+test("a steep uphill track keeps a light hanging mass from starting the cart", () => {
+  const level = computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "medium",
+    hangingMassKg: 0.2
+  });
+
+  const uphill = computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "medium",
+    hangingMassKg: 0.2,
+    trackAngleDeg: 10
+  });
+
+  assert.equal(level.moved, true);
+  assert.equal(uphill.moved, false);
+});
+
+test("full Atwood acceleration follows the mass difference over the total mass", () => {
+  const result = computeFullAtwoodPhysics({
+    scenario: "full_atwood",
+    presetId: "low",
+    hangingMassKg: 0.4
+  });
+
+  const { config } = result;
+  const expected = ((0.4 - config.counterMassKg) * 9.81 - config.dragN - config.pulleyFrictionN)
+    / (0.4 + config.counterMassKg + config.pulleyEffectiveMassKg);
+
+  assert.equal(result.moved, true);
+  nearlyEqual(result.accelerationMps2, expected);
+  nearlyEqual(result.tensionN, config.counterMassKg * (9.81 + result.accelerationMps2) + config.dragN);
+  assert.deepEqual(computeTrialPhysics({ scenario: "full_atwood", presetId: "low", hangingMassKg: 0.4 }), result);
+});
+
+test("full Atwood does not move when the hanging mass is lighter than the counter mass", () => {
+  const result = computeFullAtwoodPhysics({
+    scenario: "full_atwood",
+    presetId: "medium",
+    hangingMassKg: 0.2
+  });
+
+  assert.equal(result.moved, false);
+  assert.equal(result.travelTimeS, null);
+});
+
+test("full Atwood carries the counter weight itself and has no track angle", () => {
+  const { config } = computeTrialPhysics({
+    scenario: "full_atwood",
+    presetId: "low",
+    hangingMassKg: 0.5,
+    trackAngleDeg: 5
+  });
+
+  assert.equal(config.trackAngleDeg, null);
+  assert.equal(config.gravityAlongTrackN, 0);
+  assert.equal(config.normalForceN, 0);
+  nearlyEqual(config.counterWeightN, config.counterMassKg * 9.81);
+
+  const cart = computeTrialPhysics({ scenario: "cart_only", presetId: "low", hangingMassKg: 0.5, trackAngleDeg: 5 });
+  assert.equal(cart.config.trackAngleDeg, 5);
+  assert.equal(cart.config.counterWeightN, 0);
+});
+
+test("hanging mass landing starts a coast that decelerates at drag over cart mass", () => {
+  const result = computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "high",
+    hangingMassKg: 0.5,
+    dropHeightM: 0.5
+  });
+
+  assert.ok(result.coast);
+  nearlyEqual(result.coast.landingTimeS, Math.sqrt((2 * 0.5) / result.accelerationMps2));
+  nearlyEqual(result.coast.decelerationMps2, result.config.dragN / result.config.systemMassKg);
+  assert.equal(result.coast.reachesPathEnd, false);
+  nearlyEqual(result.coast.distanceM, result.coast.landingSpeedMps ** 2 / (2 * result.coast.decelerationMps2));
+});
+
+test("a low-friction coast runs out of track before stopping", () => {
+  const result = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3,
+    dropHeightM: 0.7
+  });
+
+  assert.ok(result.coast);
+  assert.equal(result.coast.reachesPathEnd, true);
+  nearlyEqual(result.coast.distanceM, 1.2 - 0.7);
+});
+
+test("no drop height means no coast phase", () => {
+  const result = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+
+  assert.equal(result.dropHeightM, null);
+  assert.equal(result.coast, null);
+});
+
+test("a dead end stop absorbs the impact in one hit", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+
+  const bounce = computeEndStopBounce(physics, 1.5, { stringTaut: true });
+
+  assert.equal(bounce.restitution, 0);
+  assert.deepEqual(bounce.impactOffsetsS, [0]);
+  assert.equal(bounce.settleOffsetS, 0);
+  assert.equal(bounce.restOffsetM, 0);
+});
+
+test("a bouncy end stop gives a decaying series of impacts while the string stays taut", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3,
+    bumperRestitution: 0.6
+  });
+
+  const bounce = computeEndStopBounce(physics, 1.5, { stringTaut: true });
+
+  assert.ok(bounce.impactSpeedsMps.length > 2);
+  for (let index = 1; index < bounce.impactSpeedsMps.length; index += 1) {
+    assert.ok(bounce.impactSpeedsMps[index] < bounce.impactSpeedsMps[index - 1]);
+    assert.ok(bounce.impactOffsetsS[index] > bounce.impactOffsetsS[index - 1]);
+  }
+  assert.ok(bounce.settleOffsetS >= bounce.impactOffsetsS[bounce.impactOffsetsS.length - 1]);
+  assert.equal(bounce.restOffsetM, 0);
+});
+
+test("gravity scales the hanging weight and the full Atwood counterweight", () => {
+  const moon = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3,
+    gravityMps2: 1.62
+  });
+
+  nearlyEqual(moon.config.gravityMps2, 1.62);
+  nearlyEqual(moon.pullingForceN, 0.3 * 1.62);
+  nearlyEqual(moon.hangingTensionN, 0.3 * (1.62 - moon.accelerationMps2));
+
+  const jupiter = computeTrialPhysics({
+    scenario: "full_atwood",
+    presetId: "medium",
+    hangingMassKg: 0.4,
+    gravityMps2: 24.79
+  });
+  const { counterMassKg, dragN } = jupiter.config;
+  nearlyEqual(jupiter.tensionN, counterMassKg * (24.79 + jupiter.accelerationMps2) + dragN);
+});
+
+test("gravity defaults to Earth", () => {
+  const result = computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "coefficient",
+    hangingMassKg: 0.3
+  });
+
+  nearlyEqual(result.config.gravityMps2, 9.81);
+  nearlyEqual(result.config.normalForceN, result.config.systemMassKg * 9.81);
+});
+
+test("slotted masses on the cart keep the total accelerated mass fixed", () => {
+  const poolKg = 0.6;
+  const results = [0.1, 0.3, 0.5].map((hangingMassKg) => computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg,
+    cartAddedMassKg: poolKg - hangingMassKg
+  }));
+
+  for (const result of results) {
+    nearlyEqual(result.config.systemMassKg, 0.5 + result.config.cartAddedMassKg);
+    nearlyEqual(result.totalAcceleratedMassKg, 0.5 + poolKg + result.config.pulleyEffectiveMassKg);
+  }
+
+  // Net force m·g against a is a straight line through the friction offset.
+  const [first, , last] = results;
+  const slope = (last.pullingForceN - first.pullingForceN) / (last.accelerationMps2 - first.accelerationMps2);
+  nearlyEqual(slope, first.totalAcceleratedMassKg, 1e-9);
+});
+
+test("moving slotted masses off the cart also sheds μ friction and tilt, so the slope falls below the total mass", () => {
+  const poolKg = 0.5;
+  const cases = [
+    { scenario: "cart_plus_pad", presetId: "coefficient", trackAngleDeg: 0 },
+    { scenario: "cart_only", presetId: "coefficient", trackAngleDeg: 3 },
+    { scenario: "cart_only", presetId: "low", trackAngleDeg: -2 },
+    { scenario: "cart_only", presetId: "low", trackAngleDeg: 0 }
+  ];
+
+  for (const input of cases) {
+    const results = [0.25, 0.45].map((hangingMassKg) => computeTrialPhysics({
+      ...input,
+      hangingMassKg,
+      cartAddedMassKg: poolKg - hangingMassKg
+    }));
+    const [first, last] = results;
+    const slope = (last.pullingForceN - first.pullingForceN) / (last.accelerationMps2 - first.accelerationMps2);
+    const expected = constantTotalSlope(first.config, poolKg);
+
+    assert.ok(first.moved && last.moved);
+    nearlyEqual(expected.totalMassKg + first.config.pulleyEffectiveMassKg, first.totalAcceleratedMassKg, 1e-12);
+    nearlyEqual(slope, expected.slopeKg, 1e-9);
+  }
+
+  const padded = constantTotalSlope(getScenarioConfig({
+    scenario: "cart_plus_pad",
+    presetId: "coefficient",
+    hangingMassKg: 0.1,
+    cartAddedMassKg: 0.4
+  }), poolKg);
+  nearlyEqual(padded.divisor, 1 + 0.17);
+  assert.ok(padded.slopeKg < padded.totalMassKg - 0.1);
+});
+
+test("the full Atwood ignores cart added mass", () => {
+  const result = computeTrialPhysics({
+    scenario: "full_atwood",
+    presetId: "low",
+    hangingMassKg: 0.4,
+    cartAddedMassKg: 0.2
+  });
+
+  assert.equal(result.config.cartAddedMassKg, 0);
+  nearlyEqual(result.config.systemMassKg, result.config.counterMassKg);
+});
+
+test("loading the cart with a fixed hanger makes a proportional to 1/m", () => {
+  const results = [0, 0.2, 0.5, 1].map((cartAddedMassKg) => computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "medium",
+    hangingMassKg: 0.3,
+    cartAddedMassKg
+  }));
+
+  const netForceN = results[0].netForceN;
+  for (const result of results) {
+    assert.equal(result.moved, true);
+    nearlyEqual(result.netForceN, netForceN);
+    nearlyEqual(result.accelerationMps2 * result.totalAcceleratedMassKg, netForceN);
+  }
+  assert.ok(results[3].accelerationMps2 < results[0].accelerationMps2);
+});
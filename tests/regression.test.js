@@ -1,7 +1,26 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { linearRegression, linearRegressionInWindow, meanInWindow } from "../src/regression.js";
+import {
+  centralDifference,
+  compareModels,
+  cumulativeTrapezoid,
+  evaluatePolynomial,
+  fitTrendLine,
+  linearDiagnostics,
+  linearRegression,
+  linearRegressionInWindow,
+  meanInWindow,
+  movingAverage,
+  proportionalRegression,
+  quadraticRegression,
+  savitzkyGolay,
+  standardError,
+  studentTCdf,
+  studentTCritical,
+  weightedLinearRegression,
+  yorkRegression
+} from "../src/regression.js";
 
 function nearlyEqual(actual, expected, tolerance = 1e-9) {
   assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
@@ -40,3 +59,277 @@ test("meanInWindow computes the average from selected values", () => {
 
   nearlyEqual(mean, 6);
 });
+
+test("linearRegression reports standard errors and 95% intervals that match Anscombe's first dataset", () => {
+  // Reference values from the textbook summary of this dataset: slope 0.5001 (SE 0.1179),
+  // intercept 3.0001 (SE 1.1247), residual standard error 1.237 on 9 degrees of freedom.
+  const x = [10, 8, 13, 9, 11, 14, 6, 4, 12, 7, 5];
+  const y = [8.04, 6.95, 7.58, 8.81, 8.33, 9.96, 7.24, 4.26, 10.84, 4.82, 5.68];
+
+  const fit = linearRegression(x, y);
+
+  assert.ok(fit);
+  nearlyEqual(fit.slope, 0.5001, 1e-4);
+  nearlyEqual(fit.intercept, 3.0001, 1e-4);
+  nearlyEqual(fit.slopeStdErr, 0.1179, 1e-4);
+  nearlyEqual(fit.interceptStdErr, 1.1247, 1e-4);
+  nearlyEqual(fit.residualStd, 1.237, 1e-3);
+  nearlyEqual(fit.slopeCi95, 2.262157 * fit.slopeStdErr, 1e-5);
+  nearlyEqual(fit.interceptCi95, 2.262157 * fit.interceptStdErr, 1e-5);
+});
+
+test("two points fit exactly and leave the uncertainties undefined", () => {
+  const fit = linearRegression([0, 1], [1, 3]);
+
+  assert.ok(fit);
+  assert.ok(Number.isNaN(fit.slopeStdErr));
+  assert.ok(Number.isNaN(fit.slopeCi95));
+});
+
+test("studentTCritical matches tabulated two-sided values", () => {
+  nearlyEqual(studentTCritical(0.95, 1), 12.7062, 1e-4);
+  nearlyEqual(studentTCritical(0.95, 4), 2.7764, 1e-4);
+  nearlyEqual(studentTCritical(0.95, 10), 2.2281, 1e-4);
+  nearlyEqual(studentTCritical(0.99, 20), 2.8453, 1e-4);
+  nearlyEqual(studentTCdf(0, 7), 0.5);
+  assert.ok(Number.isNaN(studentTCritical(0.95, 0)));
+});
+
+test("yorkRegression reproduces the Pearson-York benchmark", () => {
+  // Pearson (1901) data with York's (1966) weights; reference solution from
+  // York et al. (2004), Am. J. Phys. 72, 367.
+  const x = [0, 0.9, 1.8, 2.6, 3.3, 4.4, 5.2, 6.1, 6.5, 7.4];
+  const y = [5.9, 5.4, 4.4, 4.6, 3.5, 3.7, 2.8, 2.8, 2.4, 1.5];
+  const weightX = [1000, 1000, 500, 800, 200, 80, 60, 20, 1.8, 1];
+  const weightY = [1, 1.8, 4, 8, 20, 20, 70, 70, 100, 500];
+
+  const fit = yorkRegression(
+    x,
+    y,
+    weightX.map((weight) => 1 / Math.sqrt(weight)),
+    weightY.map((weight) => 1 / Math.sqrt(weight))
+  );
+
+  assert.ok(fit);
+  nearlyEqual(fit.slope, -0.4805334, 1e-6);
+  nearlyEqual(fit.intercept, 5.4799102, 1e-6);
+  nearlyEqual(fit.slopeStdErr, 0.0579850, 1e-6);
+  nearlyEqual(fit.interceptStdErr, 0.2949707, 1e-6);
+});
+
+test("yorkRegression with equal uncertainties matches closed-form Deming regression", () => {
+  const x = [10, 8, 13, 9, 11, 14, 6, 4, 12, 7, 5];
+  const y = [8.04, 6.95, 7.58, 8.81, 8.33, 9.96, 7.24, 4.26, 10.84, 4.82, 5.68];
+  const sigmaX = 0.5;
+  const sigmaY = 0.8;
+
+  const xMean = x.reduce((sum, value) => sum + value, 0) / x.length;
+  const yMean = y.reduce((sum, value) => sum + value, 0) / y.length;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  x.forEach((value, index) => {
+    sxx += (value - xMean) ** 2;
+    syy += (y[index] - yMean) ** 2;
+    sxy += (value - xMean) * (y[index] - yMean);
+  });
+  const lambda = (sigmaY * sigmaY) / (sigmaX * sigmaX);
+  const demingSlope = (syy - lambda * sxx + Math.sqrt((syy - lambda * sxx) ** 2 + 4 * lambda * sxy * sxy)) / (2 * sxy);
+
+  const fit = yorkRegression(x, y, x.map(() => sigmaX), y.map(() => sigmaY));
+
+  assert.ok(fit);
+  nearlyEqual(fit.slope, demingSlope, 1e-10);
+  nearlyEqual(fit.intercept, yMean - demingSlope * xMean, 1e-9);
+});
+
+test("weightedLinearRegression reduces to ordinary least squares and is York's limit with exact x", () => {
+  const x = [0.2, 0.5, 0.9, 1.4, 1.8, 2.3];
+  const y = [0.61, 0.83, 1.22, 1.55, 1.98, 2.31];
+  const sigmaY = [0.02, 0.05, 0.03, 0.08, 0.04, 0.06];
+
+  const ordinary = linearRegression(x, y);
+  const equal = weightedLinearRegression(x, y, x.map(() => 0.05));
+  assert.ok(ordinary && equal);
+  nearlyEqual(equal.slope, ordinary.slope, 1e-12);
+  nearlyEqual(equal.intercept, ordinary.intercept, 1e-12);
+  nearlyEqual(equal.r2, ordinary.r2, 1e-12);
+
+  const weighted = weightedLinearRegression(x, y, sigmaY);
+  const york = yorkRegression(x, y, x.map(() => 0), sigmaY);
+  assert.ok(weighted && york);
+  nearlyEqual(york.slope, weighted.slope, 1e-12);
+  nearlyEqual(york.intercept, weighted.intercept, 1e-12);
+  nearlyEqual(york.slopeStdErr, weighted.slopeStdErr, 1e-12);
+  nearlyEqual(york.interceptStdErr, weighted.interceptStdErr, 1e-12);
+
+  // With exact y instead, York weights the x residuals: least squares of x on y, turned around.
+  const sigmaX = [0.03, 0.01, 0.04, 0.02, 0.05, 0.03];
+  const swapped = weightedLinearRegression(y, x, sigmaX);
+  const exactY = yorkRegression(x, y, sigmaX, y.map(() => 0));
+  assert.ok(swapped && exactY);
+  nearlyEqual(exactY.slope, 1 / swapped.slope, 1e-12);
+  nearlyEqual(exactY.intercept, -swapped.intercept / swapped.slope, 1e-12);
+});
+
+test("fitTrendLine falls back to least squares in constant-total mode, where y is an exact hanging weight", () => {
+  // 0.5 kg cart with a 0.6 kg pool of slotted masses: y = m·g is exact and
+  // only the fitted accelerations carry an uncertainty.
+  const scatter = [0.004, -0.003, 0.002, -0.004, 0.001];
+  const points = [0.1, 0.2, 0.3, 0.4, 0.5].map((hangingKg, index) => ({
+    x: (hangingKg * 9.81 - 0.12) / 1.1 + scatter[index],
+    y: hangingKg * 9.81,
+    xError: 0.003,
+    yError: 0
+  }));
+  const x = points.map((point) => point.x);
+  const y = points.map((point) => point.y);
+
+  const weighted = fitTrendLine(points, "weighted");
+  assert.equal(weighted.method, "ols");
+  assert.deepEqual(weighted.fit, linearRegression(x, y));
+  assert.ok(weighted.fit.slopeCi95 > 1e-3, `slope interval ${weighted.fit.slopeCi95} claims too much precision`);
+
+  // York still applies: every point has an x uncertainty, and the exact y
+  // leaves the weights to it.
+  const york = fitTrendLine(points, "york");
+  assert.equal(york.method, "york");
+  nearlyEqual(york.fit.slope, weighted.fit.slope, 0.05);
+  assert.ok(york.fit.slopeCi95 > 1e-3);
+  assert.ok(york.fit.reducedChiSquare < 10, `χ²/ν = ${york.fit.reducedChiSquare}`);
+
+  const noiseOff = points.map((point) => ({ ...point, xError: 0 }));
+  assert.equal(fitTrendLine(noiseOff, "york").method, "ols");
+
+  const withForceErrors = points.map((point) => ({ ...point, yError: 0.01 }));
+  const sigmaY = withForceErrors.map(() => 0.01);
+  assert.deepEqual(fitTrendLine(withForceErrors, "weighted"), {
+    fit: weightedLinearRegression(x, y, sigmaY),
+    method: "weighted"
+  });
+});
+
+test("standardError is the sample standard deviation over root n", () => {
+  nearlyEqual(standardError([2, 4, 4, 4, 5, 5, 7, 9]), Math.sqrt(32 / 7 / 8));
+  assert.ok(Number.isNaN(standardError([1])));
+});
+
+test("proportionalRegression and quadraticRegression recover exact models", () => {
+  const x = [0.4, 0.8, 1.1, 1.7, 2.2];
+
+  const origin = proportionalRegression(x, x.map((value) => 0.52 * value));
+  assert.ok(origin);
+  nearlyEqual(origin.slope, 0.52);
+  nearlyEqual(origin.slopeStdErr, 0, 1e-12);
+
+  const coefficients = quadraticRegression(x, x.map((value) => 0.3 - 0.2 * value + 0.05 * value * value));
+  assert.ok(coefficients);
+  nearlyEqual(coefficients[0], 0.3, 1e-10);
+  nearlyEqual(coefficients[1], -0.2, 1e-10);
+  nearlyEqual(coefficients[2], 0.05, 1e-10);
+  nearlyEqual(evaluatePolynomial(coefficients, 2), 0.3 - 0.4 + 0.2, 1e-10);
+
+  assert.equal(quadraticRegression([1, 1, 2, 2], [1, 2, 3, 4]), null);
+});
+
+test("compareModels needs an intercept for friction-pad data but not for cart-only data", () => {
+  const a = [0.35, 0.62, 0.94, 1.21, 1.58, 1.86];
+  const jitter = [0.004, -0.006, 0.003, 0.005, -0.004, -0.002];
+  const cartOnly = a.map((value, index) => 0.52 * value + jitter[index]);
+  const withPad = a.map((value, index) => 0.61 * value + 0.45 + jitter[index]);
+
+  const byId = (models) => Object.fromEntries(models.map((model) => [model.id, model]));
+
+  const pad = byId(compareModels(a, withPad));
+  assert.deepEqual(Object.keys(pad), ["origin", "linear", "quadratic"]);
+  assert.ok(pad.origin.aic - pad.linear.aic > 10);
+  assert.ok(pad.origin.r2 < pad.linear.r2);
+
+  const cart = byId(compareModels(a, cartOnly));
+  assert.ok(cart.origin.aic < cart.linear.aic);
+  assert.ok(cart.origin.aic < cart.quadratic.aic);
+
+  nearlyEqual(cart.linear.adjustedR2, 1 - ((1 - cart.linear.r2) * 5) / 4);
+  const linearFit = linearRegression(a, cartOnly);
+  const ssr = a.reduce((sum, value, index) => sum + (cartOnly[index] - linearFit.slope * value - linearFit.intercept) ** 2, 0);
+  nearlyEqual(cart.linear.residualRms, Math.sqrt(ssr / a.length), 1e-12);
+  assert.equal(compareModels([1, 2], [2, 4]).length, 1);
+});
+
+test("linearDiagnostics singles out the off-line point in Anscombe's third dataset", () => {
+  // Reference values as R's rstudent() and cooks.distance() report them.
+  const x = [10, 8, 13, 9, 11, 14, 6, 4, 12, 7, 5];
+  const y = [7.46, 6.77, 12.74, 7.11, 7.81, 8.84, 6.08, 5.39, 8.15, 6.42, 5.73];
+
+  const diagnostics = linearDiagnostics(x, y);
+
+  assert.ok(diagnostics);
+  nearlyEqual(diagnostics[2].studentizedResidual, 1203.54, 1e-2);
+  nearlyEqual(diagnostics[2].cooksDistance, 1.393, 1e-3);
+  nearlyEqual(diagnostics[2].leverage, 0.2364, 1e-4);
+  nearlyEqual(diagnostics.reduce((sum, point) => sum + point.leverage, 0), 2, 1e-12);
+  assert.deepEqual(diagnostics.map((point) => point.outlier), x.map((_value, index) => index === 2));
+  assert.deepEqual(diagnostics.map((point) => point.influential), x.map((_value, index) => index === 2));
+});
+
+test("linearDiagnostics agrees with refitting the line without each point", () => {
+  const x = [0.3, 0.55, 0.8, 1.1, 1.35, 1.7];
+  const y = [0.21, 0.36, 0.44, 0.93, 0.71, 0.94];
+  const fit = linearRegression(x, y);
+  const diagnostics = linearDiagnostics(x, y);
+
+  x.forEach((xi, index) => {
+    const restX = x.filter((_value, other) => other !== index);
+    const restY = y.filter((_value, other) => other !== index);
+    const without = linearRegression(restX, restY);
+
+    // Deleted residual over its own standard error, from the line fitted without the point.
+    const xMean = restX.reduce((sum, value) => sum + value, 0) / restX.length;
+    const ssxx = restX.reduce((sum, value) => sum + (value - xMean) ** 2, 0);
+    const predictionSe = without.residualStd * Math.sqrt(1 + 1 / restX.length + (xi - xMean) ** 2 / ssxx);
+    nearlyEqual(diagnostics[index].studentizedResidual, (y[index] - without.slope * xi - without.intercept) / predictionSe, 1e-9);
+
+    const shift = x.reduce((sum, xj) => sum + ((fit.slope - without.slope) * xj + fit.intercept - without.intercept) ** 2, 0);
+    nearlyEqual(diagnostics[index].cooksDistance, shift / (2 * fit.residualStd * fit.residualStd), 1e-9);
+  });
+
+  assert.equal(linearDiagnostics([1, 2, 3], [1, 2, 4]), null);
+});
+
+test("movingAverage keeps its window centered by shrinking it at the ends", () => {
+  assert.deepEqual(movingAverage([1, 2, 3, 4, 10], 3), [1, 2, 3, 17 / 3, 10]);
+  assert.deepEqual(movingAverage([2, 4, 6, 8, 10, 12], 5), [2, 4, 6, 8, 10, 12]);
+  assert.throws(() => movingAverage([1, 2, 3], 2));
+});
+
+test("savitzkyGolay reproduces the tabulated weights and is exact for polynomials", () => {
+  // Quadratic over five points: smoothing (-3, 12, 17, 12, -3)/35 and slope (-2, -1, 0, 1, 2)/10.
+  const impulse = [0, 0, 0, 0, 1, 0, 0, 0, 0];
+  const smoothed = savitzkyGolay(impulse, { windowSize: 5, polyOrder: 2 });
+  [-3, 12, 17, 12, -3].forEach((weight, offset) => nearlyEqual(smoothed[2 + offset], weight / 35, 1e-12));
+  const slope = savitzkyGolay(impulse, { windowSize: 5, polyOrder: 2, derivative: 1 });
+  [2, 1, 0, -1, -2].forEach((weight, offset) => nearlyEqual(slope[2 + offset], weight / 10, 1e-12));
+
+  // A cubic is fitted exactly by a cubic filter, the end samples included.
+  const dt = 0.05;
+  const t = Array.from({ length: 30 }, (_value, index) => index * dt);
+  const x = t.map((time) => 0.2 + 0.4 * time - 1.1 * time * time + 0.3 * time ** 3);
+  const v = savitzkyGolay(x, { windowSize: 9, polyOrder: 3, derivative: 1, sampleIntervalS: dt });
+  const a = savitzkyGolay(x, { windowSize: 9, polyOrder: 3, derivative: 2, sampleIntervalS: dt });
+  t.forEach((time, index) => {
+    nearlyEqual(v[index], 0.4 - 2.2 * time + 0.9 * time * time, 1e-9);
+    nearlyEqual(a[index], -2.2 + 1.8 * time, 1e-7);
+  });
+
+  assert.throws(() => savitzkyGolay(x, { windowSize: 4, polyOrder: 2 }));
+  assert.ok(savitzkyGolay([1, 2], { windowSize: 5, polyOrder: 2 }).every(Number.isNaN));
+});
+
+test("centralDifference and cumulativeTrapezoid undo each other on a quadratic", () => {
+  const t = Array.from({ length: 21 }, (_value, index) => index * 0.1);
+  const v = t.map((time) => 0.5 + 1.2 * time);
+  const x = cumulativeTrapezoid(t, v, 0.3);
+
+  t.forEach((time, index) => nearlyEqual(x[index], 0.3 + 0.5 * time + 0.6 * time * time, 1e-12));
+  centralDifference(t, x).forEach((value, index) => nearlyEqual(value, v[index], index === 0 || index === t.length - 1 ? 0.07 : 1e-9));
+});
@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { IDEAL_FORCE_SENSOR, quantize, readForceSensor } from "../src/sensor.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+const sensor = {
+  offsetN: 0.1,
+  driftNPerS: 0.01,
+  resolutionN: 0.005,
+  rangeN: 10
+};
+
+test("an ideal sensor reads the true force", () => {
+  nearlyEqual(readForceSensor(IDEAL_FORCE_SENSOR, 1.2345, 3), 1.2345);
+});
+
+test("offset and drift add to the reading", () => {
+  nearlyEqual(readForceSensor(sensor, 2, 0), 2.1);
+  nearlyEqual(readForceSensor(sensor, 2, 2), 2.12);
+});
+
+test("readings snap to the ADC resolution", () => {
+  nearlyEqual(quantize(1.2337, 0.005), 1.235);
+  const reading = readForceSensor(sensor, 1.0337, 0);
+  nearlyEqual(reading / sensor.resolutionN, Math.round(reading / sensor.resolutionN));
+});
+
+test("readings clip at the range limit", () => {
+  nearlyEqual(readForceSensor(sensor, 14.7, 0), 10);
+  nearlyEqual(readForceSensor(sensor, -12, 0), -10);
+});
@@ -2,7 +2,14 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import { computeTrialPhysics } from "../src/physics.js";
+import { linearRegressionInWindow, meanInWindow } from "../src/regression.js";
+import { SONAR_MOTION_DETECTOR } from "../src/sensor.js";
 import { generateTrialSignals } from "../src/signals.js";
+import { trajectoryStateAt } from "../src/trajectory.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
 
 test("noise-disabled signals are deterministic regardless of seed", () => {
   const physics = computeTrialPhysics({
@@ -62,3 +69,184 @@ test("moved trial includes ordered phases and stop segment", () => {
   assert.equal(signals.motionWindow.startS, signals.phases.accelStartS);
   assert.equal(signals.motionWindow.endS, signals.phases.accelEndS);
 });
+
+test("after the hanging mass lands, tension drops to zero and velocity falls off", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "medium",
+    hangingMassKg: 0.5,
+    dropHeightM: 0.3
+  });
+
+  const signals = generateTrialSignals(physics, { noiseEnabled: false, seed: 8 });
+  const { landS, coastEndS, accelEndS } = signals.phases;
+
+  assert.ok(landS !== null && coastEndS !== null);
+  assert.equal(accelEndS, landS);
+  assert.ok(coastEndS > landS);
+
+  const coastIndices = signals.timesS
+    .map((t, index) => ({ t, index }))
+    .filter(({ t }) => t > landS + 0.15 && t < coastEndS);
+
+  assert.ok(coastIndices.length > 3);
+  for (const { index } of coastIndices) {
+    assert.ok(Math.abs(signals.forceN[index]) < 0.05, `Expected slack-string force near zero, got ${signals.forceN[index]}`);
+  }
+
+  const first = coastIndices[0].index;
+  const last = coastIndices[coastIndices.length - 1].index;
+  const slope = (signals.velocityMps[last] - signals.velocityMps[first]) / (signals.timesS[last] - signals.timesS[first]);
+  assert.ok(Math.abs(slope + physics.coast.decelerationMps2) < 1e-9);
+});
+
+test("a heavier hanging mass reaches the end stop sooner", () => {
+  const light = generateTrialSignals(
+    computeTrialPhysics({ scenario: "cart_only", presetId: "low", hangingMassKg: 0.1 }),
+    { noiseEnabled: false, seed: 3 }
+  );
+  const heavy = generateTrialSignals(
+    computeTrialPhysics({ scenario: "cart_only", presetId: "low", hangingMassKg: 0.5 }),
+    { noiseEnabled: false, seed: 3 }
+  );
+
+  assert.ok(light.phases.impactS !== null && heavy.phases.impactS !== null);
+  assert.ok(heavy.phases.impactS < light.phases.impactS);
+  assert.equal(heavy.phases.accelEndS, heavy.phases.impactS);
+});
+
+test("a bouncy end stop reverses the velocity and spikes the force", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.4,
+    bumperRestitution: 0.5
+  });
+
+  const signals = generateTrialSignals(physics, { noiseEnabled: false, seed: 5 });
+  assert.ok(signals.impact);
+
+  const { impactS } = signals.phases;
+  const after = signals.timesS
+    .map((t, index) => ({ t, index }))
+    .filter(({ t }) => t > impactS && t < impactS + 0.2);
+
+  assert.ok(after.some(({ index }) => signals.velocityMps[index] < -0.5));
+  assert.ok(after.some(({ index }) => signals.forceN[index] > physics.tensionN + 0.5));
+});
+
+test("the force sensor offset shows up in every reading and saturation is flagged", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+  const forceSensor = { offsetN: 0.2, driftNPerS: 0, resolutionN: 0, rangeN: 10 };
+
+  const ideal = generateTrialSignals(physics, { noiseEnabled: false, seed: 4 });
+  const real = generateTrialSignals(physics, { noiseEnabled: false, seed: 4, forceSensor });
+
+  for (let index = 0; index < ideal.forceN.length; index += 1) {
+    assert.ok(Math.abs(real.forceN[index] - ideal.forceN[index] - 0.2) < 1e-9);
+  }
+  assert.equal(real.forceSaturated, false);
+
+  const heavy = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.6,
+    gravityMps2: 24.79
+  });
+  const clipped = generateTrialSignals(heavy, { noiseEnabled: false, seed: 4, forceSensor: { ...forceSensor, rangeN: 5 } });
+  assert.equal(clipped.forceSaturated, true);
+  assert.ok(Math.max(...clipped.forceN) <= 5);
+});
+
+test("the position channel integrates the velocity channel and stops at the end of the track", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+
+  const signals = generateTrialSignals(physics, { noiseEnabled: false, seed: 6 });
+  const { accelStartS, accelEndS } = signals.phases;
+
+  for (let index = 1; index < signals.timesS.length - 1; index += 1) {
+    const t = signals.timesS[index];
+    if (t > accelStartS + 0.05 && t < accelEndS - 0.05) {
+      const slope = (signals.positionM[index + 1] - signals.positionM[index - 1])
+        / (signals.timesS[index + 1] - signals.timesS[index - 1]);
+      assert.ok(Math.abs(slope - signals.velocityMps[index]) < 0.005, `Position slope ${slope} vs velocity ${signals.velocityMps[index]} at ${t}`);
+    }
+  }
+
+  nearlyEqual(signals.positionM[signals.positionM.length - 1], 1.2);
+  nearlyEqual(trajectoryStateAt(signals.trajectory, 4).positionM, 1.2);
+});
+
+test("sonar artifacts hold the reading inside the minimum range and can be differentiated into velocity", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+
+  const signals = generateTrialSignals(physics, {
+    noiseEnabled: false,
+    seed: 6,
+    motionDetector: SONAR_MOTION_DETECTOR,
+    velocityFromPosition: true
+  });
+
+  const lastReading = signals.positionM[signals.positionM.length - 1];
+  const blindStartM = 1.2 + SONAR_MOTION_DETECTOR.standoffM - SONAR_MOTION_DETECTOR.minRangeM;
+  assert.ok(lastReading <= blindStartM + SONAR_MOTION_DETECTOR.resolutionM);
+
+  for (const reading of signals.positionM) {
+    nearlyEqual(reading / SONAR_MOTION_DETECTOR.resolutionM, Math.round(reading / SONAR_MOTION_DETECTOR.resolutionM), 1e-6);
+  }
+
+  const settled = signals.velocityMps.slice(-10);
+  assert.ok(settled.every((value) => value === 0));
+});
+
+test("the accelerometer averages to the model acceleration during the pull and spikes at the end stop", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+
+  const signals = generateTrialSignals(physics, { noiseEnabled: false, seed: 2 });
+  const { rampEndS, accelEndS, impactS } = signals.phases;
+
+  const pullMean = meanInWindow(signals.timesS, signals.accelerationMps2, rampEndS + 0.05, accelEndS - 0.05);
+  assert.ok(Math.abs(pullMean - physics.accelerationMps2) < 0.05, `Expected ${pullMean} near ${physics.accelerationMps2}`);
+
+  const peak = Math.max(...signals.timesS
+    .map((t, index) => (Math.abs(t - impactS) < 0.05 ? Math.abs(signals.accelerationMps2[index]) : 0)));
+  assert.ok(peak > 10 * physics.accelerationMps2);
+});
+
+test("sample rate and duration set the sampling grid, and the pull slope holds at every rate", () => {
+  const physics = computeTrialPhysics({
+    scenario: "cart_only",
+    presetId: "low",
+    hangingMassKg: 0.3
+  });
+
+  for (const [sampleRateHz, durationS] of [[10, 3], [60, 4.5], [1000, 2]]) {
+    const signals = generateTrialSignals(physics, { noiseEnabled: false, seed: 5, sampleRateHz, durationS });
+    const { accelStartS, accelEndS } = signals.phases;
+    const fit = linearRegressionInWindow(signals.timesS, signals.velocityMps, accelStartS + 0.2, accelEndS - 0.1);
+
+    assert.equal(signals.sampleRateHz, sampleRateHz);
+    assert.equal(signals.durationS, durationS);
+    assert.equal(signals.timesS.length, Math.floor(durationS * sampleRateHz) + 1);
+    nearlyEqual(signals.timesS[1] - signals.timesS[0], 1 / sampleRateHz);
+    assert.ok(signals.timesS.at(-1) <= durationS);
+    assert.ok(accelEndS <= durationS);
+    nearlyEqual(fit.slope, physics.accelerationMps2, 1e-6);
+  }
+});
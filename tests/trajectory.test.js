@@ -0,0 +1,144 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { ATWOOD_DROP_M, computeTrialPhysics } from "../src/physics.js";
+import { generateTrialSignals } from "../src/signals.js";
+import { buildTrajectory, trajectoryStateAt } from "../src/trajectory.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+const CASES = [
+  { label: "end-stop bounce", input: { scenario: "cart_only", presetId: "low", hangingMassKg: 0.3, bumperRestitution: 0.6 } },
+  { label: "landing and coast", input: { scenario: "cart_plus_pad", presetId: "low", hangingMassKg: 0.5, dropHeightM: 0.5 } },
+  { label: "speed-dependent drag", input: { scenario: "cart_only", presetId: "velocity_drag", hangingMassKg: 0.3 } },
+  { label: "full Atwood", input: { scenario: "full_atwood", presetId: "low", hangingMassKg: 0.6 } }
+];
+
+test("velocity is the slope of position and acceleration the slope of velocity", () => {
+  const h = 1e-5;
+
+  for (const { label, input } of CASES) {
+    const trajectory = buildTrajectory(computeTrialPhysics(input));
+    const { impact } = trajectory;
+    const hits = impact ? (impact.bounce ?? impact.floorLanding).impactOffsetsS.map((offset) => impact.timeS + offset) : [];
+    const segmentStarts = impact?.floorLanding
+      ? impact.floorLanding.segments.map((segment) => impact.timeS + segment.startOffsetS)
+      : [];
+    const kinks = [
+      trajectory.phases.accelStartS,
+      trajectory.phases.rampEndS,
+      trajectory.phases.accelEndS,
+      trajectory.phases.coastEndS,
+      trajectory.phases.settleS,
+      ...hits,
+      ...segmentStarts
+    ];
+
+    for (let t = 0.01; t < trajectory.durationS - 0.01; t += 0.013) {
+      if (kinks.some((kink) => kink !== null && Math.abs(t - kink) < 2 * h)) {
+        continue;
+      }
+
+      const before = trajectoryStateAt(trajectory, t - h);
+      const now = trajectoryStateAt(trajectory, t);
+      const after = trajectoryStateAt(trajectory, t + h);
+
+      nearlyEqual((after.positionM - before.positionM) / (2 * h), now.velocityMps, 2e-3);
+      // Hits and the coast end are corners in velocity; skip samples that straddle them.
+      if (!hits.some((hit) => Math.abs(t - hit) < 0.02)) {
+        assert.ok(
+          Math.abs((after.velocityMps - before.velocityMps) / (2 * h) - now.accelerationMps2) < 2e-2,
+          `${label}: acceleration mismatch at ${t.toFixed(3)} s`
+        );
+      }
+    }
+  }
+});
+
+test("noise-free signal channels are samples of the trajectory the machine view animates", () => {
+  for (const { label, input } of CASES) {
+    const physics = computeTrialPhysics(input);
+    const signals = generateTrialSignals(physics, { noiseEnabled: false, seed: 3, sampleRateHz: 1000 });
+    const { accelStartS } = signals.phases;
+
+    signals.timesS.forEach((t, index) => {
+      const state = trajectoryStateAt(signals.trajectory, t);
+      nearlyEqual(signals.positionM[index], state.positionM, 1e-12);
+
+      if (t > accelStartS && t <= signals.phases.stopEndS) {
+        nearlyEqual(signals.velocityMps[index], state.velocityMps, 1e-12);
+      }
+    });
+
+    // Integrating the plotted velocity lands where the animated cart is drawn,
+    // bounces included, once the samples are fine enough to resolve them.
+    let integratedM = 0;
+    for (let index = 1; index < signals.timesS.length; index += 1) {
+      const t = signals.timesS[index];
+      if (t <= accelStartS) {
+        continue;
+      }
+
+      const dt = t - signals.timesS[index - 1];
+      integratedM += 0.5 * dt * (signals.velocityMps[index] + signals.velocityMps[index - 1]);
+
+      assert.ok(
+        Math.abs(integratedM - trajectoryStateAt(signals.trajectory, t).positionM) < 0.02,
+        `${label}: integrated velocity ${integratedM} vs position at ${t.toFixed(3)} s`
+      );
+    }
+  }
+});
+
+test("the trajectory holds its final state past the end of the trial", () => {
+  const trajectory = buildTrajectory(computeTrialPhysics({
+    scenario: "cart_plus_pad",
+    presetId: "high",
+    hangingMassKg: 0.3
+  }), { durationS: 2 });
+
+  assert.deepEqual(trajectoryStateAt(trajectory, 5), trajectoryStateAt(trajectory, 2));
+});
+
+test("the full Atwood ignores the drop height, so the counter mass is never left hanging on a slack string", () => {
+  const physics = computeTrialPhysics({ scenario: "full_atwood", presetId: "low", hangingMassKg: 0.6, dropHeightM: 0.3 });
+  const trajectory = buildTrajectory(physics);
+
+  assert.equal(physics.dropHeightM, null);
+  assert.equal(physics.coast, null);
+  assert.equal(trajectory.phases.landS, null);
+
+  for (let t = trajectory.phases.accelStartS; t < trajectory.phases.impactS; t += 0.01) {
+    assert.ok(trajectoryStateAt(trajectory, t).tensionN > 0, `string slack at ${t.toFixed(2)} s`);
+  }
+
+  nearlyEqual(trajectoryStateAt(trajectory, trajectory.durationS).positionM, ATWOOD_DROP_M, 1e-9);
+});
+
+test("once the full Atwood's heavy mass is on the floor the string holds only the counter mass", () => {
+  const physics = computeTrialPhysics({ scenario: "full_atwood", presetId: "low", hangingMassKg: 0.6 });
+  const signals = generateTrialSignals(physics, { noiseEnabled: false, seed: 3, sampleRateHz: 1000 });
+  const { trajectory } = signals;
+  const { floorLanding } = trajectory.impact;
+
+  assert.equal(trajectory.impact.bounce, null);
+  assert.ok(trajectory.phases.settleS < trajectory.durationS - 0.5);
+
+  // Right after landing the counter mass flies on up on a slack string, then
+  // falls back until the string catches it again.
+  const flight = trajectoryStateAt(trajectory, trajectory.phases.impactS + 0.01);
+  assert.equal(flight.tensionN, 0);
+  assert.ok(flight.velocityMps > 0);
+  assert.ok(floorLanding.impactOffsetsS.length >= 2);
+  for (let index = 1; index < floorLanding.impactSpeedsMps.length; index += 1) {
+    assert.ok(floorLanding.impactSpeedsMps[index] < floorLanding.impactSpeedsMps[index - 1]);
+  }
+
+  const rest = trajectoryStateAt(trajectory, trajectory.durationS);
+  nearlyEqual(rest.tensionN, physics.config.counterWeightN, 1e-12);
+  nearlyEqual(rest.positionM, ATWOOD_DROP_M, 1e-12);
+  nearlyEqual(signals.forceN[signals.forceN.length - 1], physics.config.counterWeightN, 1e-6);
+  assert.ok(physics.config.counterWeightN < physics.tensionN);
+});
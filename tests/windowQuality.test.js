@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeTrialPhysics } from "../src/physics.js";
+import { buildTrajectory } from "../src/trajectory.js";
+import { assessWindows, percentError, windowOverlap } from "../src/windowQuality.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+const PHASES = { accelStartS: 0.5, rampEndS: 0.6, accelEndS: 1.6 };
+
+test("window overlap splits the width across the trial phases", () => {
+  const overlap = windowOverlap(PHASES, { startS: 0.4, endS: 1.8 });
+
+  nearlyEqual(overlap.widthS, 1.4);
+  nearlyEqual(overlap.preMotionS, 0.1);
+  nearlyEqual(overlap.rampS, 0.1);
+  nearlyEqual(overlap.steadyS, 1);
+  nearlyEqual(overlap.stopS, 0.2);
+  nearlyEqual(overlap.preMotionS + overlap.rampS + overlap.steadyS + overlap.stopS, overlap.widthS);
+});
+
+test("window overlap accepts a window dragged right to left", () => {
+  assert.deepEqual(
+    windowOverlap(PHASES, { startS: 1.2, endS: 0.7 }),
+    windowOverlap(PHASES, { startS: 0.7, endS: 1.2 })
+  );
+  nearlyEqual(windowOverlap(PHASES, { startS: 1.2, endS: 0.7 }).steadyS, 0.5);
+});
+
+test("percent error is signed and undefined against a zero model value", () => {
+  nearlyEqual(percentError(1.1, 1), 10);
+  nearlyEqual(percentError(-0.9, -1), 10);
+  nearlyEqual(percentError(0.95, 1), -5);
+  assert.ok(Number.isNaN(percentError(0.1, 0)));
+});
+
+test("a window inside the steady pull of a real trial reads all steady and compares with the model", () => {
+  const trajectory = buildTrajectory(computeTrialPhysics({ scenario: "cart_only", presetId: "low", hangingMassKg: 0.3 }));
+  const { phases, physics } = trajectory;
+  const inside = { startS: phases.rampEndS + 0.05, endS: phases.accelEndS - 0.05 };
+  const early = { startS: phases.accelStartS - 0.1, endS: phases.rampEndS + 0.1 };
+
+  const feedback = assessWindows(4, trajectory, {
+    forceWindow: inside,
+    velocityWindow: early,
+    forceMeanN: physics.tensionN * 1.02,
+    accelerationMps2: physics.accelerationMps2
+  });
+
+  assert.equal(feedback.trialId, 4);
+  nearlyEqual(feedback.force.steadyS, feedback.force.widthS);
+  nearlyEqual(feedback.velocity.preMotionS, 0.1);
+  nearlyEqual(feedback.velocity.rampS, phases.rampEndS - phases.accelStartS);
+  nearlyEqual(feedback.forcePercentError, 2);
+  nearlyEqual(feedback.accelerationPercentError, 0);
+  assert.equal(feedback.modelTensionN, physics.tensionN);
+});
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createGaussian, createRng } from "../src/noise.js";
+import { computeTrialPhysics } from "../src/physics.js";
+import { generateTrialSignals } from "../src/signals.js";
+import { estimateNoiseStd, suggestSteadyWindow } from "../src/windowSuggest.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+test("estimateNoiseStd reads the noise level off a trace with a trend", () => {
+  const gaussian = createGaussian(createRng(11));
+  const values = Array.from({ length: 2000 }, (_value, index) => 0.4 * index / 60 + 1.2 + gaussian(0.02));
+
+  nearlyEqual(estimateNoiseStd(values), 0.02, 0.002);
+  nearlyEqual(estimateNoiseStd(values.map((_value, index) => 0.3 * index)), 0, 1e-12);
+});
+
+test("suggestSteadyWindow finds the steady pull and leaves out the ramp-in and the stop", () => {
+  const cases = [
+    { scenario: "cart_only", presetId: "low", hangingMassKg: 0.3 },
+    { scenario: "cart_plus_pad", presetId: "medium", hangingMassKg: 0.3 },
+    { scenario: "cart_plus_pad", presetId: "low", hangingMassKg: 0.5, dropHeightM: 0.5 },
+    { scenario: "full_atwood", presetId: "low", hangingMassKg: 0.6 }
+  ];
+
+  for (const input of cases) {
+    for (const noiseEnabled of [false, true]) {
+      for (const sampleRateHz of [30, 60, 250]) {
+        const signals = generateTrialSignals(computeTrialPhysics(input), { noiseEnabled, seed: 5, sampleRateHz });
+        const { accelStartS, rampEndS, accelEndS } = signals.phases;
+        const window = suggestSteadyWindow(signals.timesS, signals.forceN, signals.velocityMps);
+        const label = `${input.scenario}/${input.presetId} noise=${noiseEnabled} ${sampleRateHz} Hz`;
+
+        assert.ok(window, label);
+        assert.ok(window.startS > accelStartS && window.endS <= accelEndS, `${label}: ${window.startS}-${window.endS}`);
+        assert.ok(
+          window.endS - window.startS >= 0.8 * (accelEndS - rampEndS),
+          `${label}: only ${window.startS}-${window.endS} of ${rampEndS}-${accelEndS}`
+        );
+      }
+    }
+  }
+});
+
+test("suggestSteadyWindow offers nothing when the cart never moves", () => {
+  const physics = computeTrialPhysics({ scenario: "cart_plus_pad", presetId: "medium", hangingMassKg: 0.1 });
+  assert.equal(physics.moved, false);
+
+  for (const noiseEnabled of [false, true]) {
+    const signals = generateTrialSignals(physics, { noiseEnabled, seed: 2 });
+    assert.equal(suggestSteadyWindow(signals.timesS, signals.forceN, signals.velocityMps), null);
+  }
+});